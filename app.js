@@ -2,7 +2,8 @@
  * Plain HTML/CSS/JS. Offline-ready. Beginner-friendly but scalable.
  * - Safe public search URLs only
  * - India-focused categories + languages + trending shortcuts
- * - Platform selection + "open selected" with 8-tab safety limit (advanced mode overrides)
+ * - Platform selection + "open selected" in resumable steps of 8 tabs (advanced mode opens all)
+ * - Opt-in video previews (titles, thumbnails) from providers.js, falling back to the search links
  */
 
 (() => {
@@ -10,11 +11,26 @@
 
   const STORAGE_KEYS = {
     theme: "gm_theme",
-    recent: "gm_recent_searches",
+    recent: "gm_recent_searches", // legacy recents, migrated into history
+    history: "gm_history", // only used when IndexedDB is unavailable
     category: "gm_category",
-    language: "gm_language",
+    language: "gm_language", // legacy single language, migrated into `languages`
+    languages: "gm_languages",
     advanced: "gm_advanced",
-    selected: "gm_selected_platforms"
+    selected: "gm_selected_platforms",
+    custom: "gm_custom_platforms",
+    presets: "gm_presets",
+    activePreset: "gm_active_preset",
+    recency: "gm_recency",
+    scriptMode: "gm_script_mode",
+    clicks: "gm_click_log",
+    learning: "gm_learning",
+    offlineQueue: "gm_offline_queue",
+    sound: "gm_sound",
+    safety: "gm_safety",
+    preferApps: "gm_prefer_apps",
+    launch: "gm_launch",
+    previews: "gm_previews"
   };
 
   const TAB_LIMIT_DEFAULT = 8;
@@ -30,6 +46,9 @@
     recentChips: document.getElementById("recentChips"),
     categoryChips: document.getElementById("categoryChips"),
     languageChips: document.getElementById("languageChips"),
+    recencyChips: document.getElementById("recencyChips"),
+    scriptRow: document.getElementById("scriptRow"),
+    scriptChips: document.getElementById("scriptChips"),
     trendingChips: document.getElementById("trendingChips"),
     advancedToggle: document.getElementById("advancedToggle"),
     selectAllBtn: document.getElementById("selectAllBtn"),
@@ -39,14 +58,146 @@
     platformCount: document.getElementById("platformCount"),
     platformGrid: document.getElementById("platformGrid"),
     resultsHint: document.getElementById("resultsHint"),
+    resultsStatus: document.getElementById("resultsStatus"),
     themeColorMeta: document.getElementById("themeColorMeta"),
     swStatus: document.getElementById("swStatus"),
-    loadingOverlay: document.getElementById("loadingOverlay")
+    updateBanner: document.getElementById("updateBanner"),
+    updateReloadBtn: document.getElementById("updateReloadBtn"),
+    loadingOverlay: document.getElementById("loadingOverlay"),
+    addPlatformBtn: document.getElementById("addPlatformBtn"),
+    platformEditor: document.getElementById("platformEditor"),
+    platformEditorClose: document.getElementById("platformEditorClose"),
+    platformForm: document.getElementById("platformForm"),
+    pfId: document.getElementById("pfId"),
+    pfName: document.getElementById("pfName"),
+    pfCategory: document.getElementById("pfCategory"),
+    pfIcon: document.getElementById("pfIcon"),
+    pfTemplate: document.getElementById("pfTemplate"),
+    pfError: document.getElementById("pfError"),
+    pfSave: document.getElementById("pfSave"),
+    pfReset: document.getElementById("pfReset"),
+    customList: document.getElementById("customList"),
+    profileBtn: document.getElementById("profileBtn"),
+    profileDialog: document.getElementById("profileDialog"),
+    profileDialogClose: document.getElementById("profileDialogClose"),
+    exportProfileBtn: document.getElementById("exportProfileBtn"),
+    importFile: document.getElementById("importFile"),
+    importError: document.getElementById("importError"),
+    importPreview: document.getElementById("importPreview"),
+    importChanges: document.getElementById("importChanges"),
+    applyImportBtn: document.getElementById("applyImportBtn"),
+    presetPicker: document.getElementById("presetPicker"),
+    presetsBtn: document.getElementById("presetsBtn"),
+    presetDialog: document.getElementById("presetDialog"),
+    presetDialogClose: document.getElementById("presetDialogClose"),
+    presetForm: document.getElementById("presetForm"),
+    presetName: document.getElementById("presetName"),
+    presetError: document.getElementById("presetError"),
+    presetList: document.getElementById("presetList"),
+    settingsBtn: document.getElementById("settingsBtn"),
+    settingsDialog: document.getElementById("settingsDialog"),
+    settingsDialogClose: document.getElementById("settingsDialogClose"),
+    learningToggle: document.getElementById("learningToggle"),
+    learningStats: document.getElementById("learningStats"),
+    learningList: document.getElementById("learningList"),
+    resetLearningBtn: document.getElementById("resetLearningBtn"),
+    sharedBanner: document.getElementById("sharedBanner"),
+    sharedSummary: document.getElementById("sharedSummary"),
+    adoptSharedBtn: document.getElementById("adoptSharedBtn"),
+    dismissSharedBtn: document.getElementById("dismissSharedBtn"),
+    historyDialog: document.getElementById("historyDialog"),
+    historyDialogClose: document.getElementById("historyDialogClose"),
+    historySearch: document.getElementById("historySearch"),
+    historyCategory: document.getElementById("historyCategory"),
+    historyLanguage: document.getElementById("historyLanguage"),
+    historyCount: document.getElementById("historyCount"),
+    historyList: document.getElementById("historyList"),
+    clearRange: document.getElementById("clearRange"),
+    clearKeepPins: document.getElementById("clearKeepPins"),
+    clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+    offlineBanner: document.getElementById("offlineBanner"),
+    offlineSummary: document.getElementById("offlineSummary"),
+    queueOpenBtn: document.getElementById("queueOpenBtn"),
+    queueListBtn: document.getElementById("queueListBtn"),
+    queueLaterBtn: document.getElementById("queueLaterBtn"),
+    queueDialog: document.getElementById("queueDialog"),
+    queueDialogClose: document.getElementById("queueDialogClose"),
+    queueCount: document.getElementById("queueCount"),
+    queueList: document.getElementById("queueList"),
+    queueClearBtn: document.getElementById("queueClearBtn"),
+    paletteDialog: document.getElementById("paletteDialog"),
+    paletteDialogClose: document.getElementById("paletteDialogClose"),
+    paletteInput: document.getElementById("paletteInput"),
+    paletteList: document.getElementById("paletteList"),
+    shortcutsBtn: document.getElementById("shortcutsBtn"),
+    shortcutsDialog: document.getElementById("shortcutsDialog"),
+    shortcutsDialogClose: document.getElementById("shortcutsDialogClose"),
+    soundMute: document.getElementById("soundMute"),
+    soundVolume: document.getElementById("soundVolume"),
+    soundTheme: document.getElementById("soundTheme"),
+    soundTestBtn: document.getElementById("soundTestBtn"),
+    strictToggle: document.getElementById("strictToggle"),
+    safetyInfo: document.getElementById("safetyInfo"),
+    safetyTerms: document.getElementById("safetyTerms"),
+    saveTermsBtn: document.getElementById("saveTermsBtn"),
+    pinForm: document.getElementById("pinForm"),
+    pinInput: document.getElementById("pinInput"),
+    pinBtn: document.getElementById("pinBtn"),
+    removePinBtn: document.getElementById("removePinBtn"),
+    pinError: document.getElementById("pinError"),
+    pinInfo: document.getElementById("pinInfo"),
+    preferAppsToggle: document.getElementById("preferAppsToggle"),
+    appsInfo: document.getElementById("appsInfo"),
+    batchBtn: document.getElementById("batchBtn"),
+    batchDialog: document.getElementById("batchDialog"),
+    batchDialogClose: document.getElementById("batchDialogClose"),
+    batchInput: document.getElementById("batchInput"),
+    batchFile: document.getElementById("batchFile"),
+    runBatchBtn: document.getElementById("runBatchBtn"),
+    batchError: document.getElementById("batchError"),
+    batchResults: document.getElementById("batchResults"),
+    batchSummary: document.getElementById("batchSummary"),
+    batchFormat: document.getElementById("batchFormat"),
+    batchExportBtn: document.getElementById("batchExportBtn"),
+    batchOpenBtn: document.getElementById("batchOpenBtn"),
+    batchProgress: document.getElementById("batchProgress"),
+    batchReport: document.getElementById("batchReport"),
+    launchBanner: document.getElementById("launchBanner"),
+    launchSummary: document.getElementById("launchSummary"),
+    launchProgress: document.getElementById("launchProgress"),
+    launchNextBtn: document.getElementById("launchNextBtn"),
+    launchStopBtn: document.getElementById("launchStopBtn"),
+    previewSection: document.getElementById("previewSection"),
+    previewStatus: document.getElementById("previewStatus"),
+    previewSources: document.getElementById("previewSources"),
+    previewLengths: document.getElementById("previewLengths"),
+    previewList: document.getElementById("previewList"),
+    previewFallback: document.getElementById("previewFallback"),
+    previewToggle: document.getElementById("previewToggle"),
+    previewInfo: document.getElementById("previewInfo")
   };
 
   // ---------------------------
   // Helpers
   // ---------------------------
+  const prefersReducedMotion = () =>
+    !!window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+  // Save generated text (profiles, batch reports) as a file download.
+  function downloadFile(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Renderers build their DOM through dom.js; never through HTML strings.
+  const { el, safeUrl } = window.GMDom;
+
   function safeGetJSON(key, fallback) {
     try {
       const raw = localStorage.getItem(key);
@@ -61,759 +212,3721 @@
     localStorage.setItem(key, JSON.stringify(value));
   }
 
+  // While viewing settings from a shared link, search settings are session-only.
+  let sharedView = false;
+
+  function saveSetting(key, value) {
+    if (!sharedView) localStorage.setItem(key, value);
+  }
+
+  const isStringArray = v => Array.isArray(v) && v.every(x => typeof x === "string");
+
   function qs() {
     return (els.query.value || "").trim();
   }
 
-  function withLanguage(query, lang) {
-    const clean = (lang || "").trim();
-    if (!clean || clean === "Any") return query;
-    // Append language keyword to query (simple + effective).
-    return `${query} ${clean}`;
-  }
+  // ---------------------------
+  // Languages (native keywords + engine locale params)
+  // ---------------------------
+  /**
+   * code: ISO 639-1, used for Google hl/lr and YouTube hl.
+   * native: the language's own name in its script, used as a search keyword.
+   * script: transliteration target in transliterate.js.
+   */
+  const LANGUAGE_INFO = {
+    Hindi: { code: "hi", native: "हिंदी", script: "deva" },
+    Tamil: { code: "ta", native: "தமிழ்", script: "taml" },
+    Telugu: { code: "te", native: "తెలుగు", script: "telu" },
+    Malayalam: { code: "ml", native: "മലയാളം", script: "mlym" },
+    Kannada: { code: "kn", native: "ಕನ್ನಡ", script: "knda" },
+    Bengali: { code: "bn", native: "বাংলা", script: "beng" },
+    Marathi: { code: "mr", native: "मराठी", script: "deva" }
+  };
 
-  function encode(q) {
-    return encodeURIComponent(q);
-  }
+  const LOCALE_REGION = "IN";
 
-  // Safe public search helpers:
-  function googleSiteSearch(domain, query) {
-    return `https://www.google.com/search?q=${encode(`site:${domain} ${query}`)}&safe=active`;
-  }
-  function googleVideos(query) {
-    return `https://www.google.com/search?tbm=vid&q=${encode(query)}`;
-  }
-  function bingVideos(query) {
-    return `https://www.bing.com/videos/search?q=${encode(query)}`;
+  // Engine locale parameters. The first language drives the UI locale (hl).
+  const LOCALE_PARAMS = {
+    google: langs => `&hl=${LANGUAGE_INFO[langs[0]].code}` +
+      `&lr=${encode(langs.map(l => `lang_${LANGUAGE_INFO[l].code}`).join("|"))}`,
+    youtube: langs => `&hl=${LANGUAGE_INFO[langs[0]].code}&gl=${LOCALE_REGION}`
+  };
+
+  function localeParam(engine, opts) {
+    const langs = ((opts && opts.languages) || []).filter(l => LANGUAGE_INFO[l]);
+    if (!langs.length || !LOCALE_PARAMS[engine]) return "";
+    return LOCALE_PARAMS[engine](langs);
   }
-  function ddgVideos(query) {
-    return `https://duckduckgo.com/?q=${encode(query)}&iax=videos&ia=videos`;
+
+  /**
+   * Keywords that steer results towards the chosen languages.
+   * "full" engines get an OR group of English and native names for every language;
+   * "plain" engines can't OR, so they get the first language's English name only.
+   */
+  function languageKeywords(langs, syntax) {
+    const known = (langs || []).filter(l => LANGUAGE_INFO[l]);
+    if (!known.length) return "";
+    if (syntax !== "full") return known[0];
+    const words = known.flatMap(l => [l, LANGUAGE_INFO[l].native]);
+    return `(${words.join(" OR ")})`;
   }
 
-  function showLoading(show) {
-    els.loadingOverlay.hidden = !show;
+  function withLanguages(query, langs, syntax) {
+    const keywords = languageKeywords(langs, syntax);
+    return keywords ? `${query} ${keywords}` : query;
   }
 
   // ---------------------------
-  // Sound Manager (Web Audio API)
+  // Query syntax: "phrases", -exclude, lang:, cat:, on:
   // ---------------------------
-  const SoundManager = {
-    ctx: new (window.AudioContext || window.webkitAudioContext)(),
+  const TOKEN_RE = /(-?)"([^"]*)"?|(\S+)/g;
+  const OPERATOR_RE = /^(lang|cat|on):(.+)$/i;
 
-    playTone(freq, type, duration, vol = 0.1, slide = 0) {
-      if (this.ctx.state === 'suspended') this.ctx.resume();
-      const osc = this.ctx.createOscillator();
-      const gain = this.ctx.createGain();
-
-      osc.type = type;
-      osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
-      if (slide) {
-        osc.frequency.exponentialRampToValueAtTime(freq + slide, this.ctx.currentTime + duration);
+  /**
+   * Parsed query shape:
+   * { parts: [{ type: "term" | "phrase" | "exclude", text }], langs: string[], cat, on: string[] }
+   * langs/cat/on are empty/null unless the user typed a recognised operator.
+   */
+  function parseQuery(raw) {
+    const parsed = { parts: [], langs: [], cat: null, on: [] };
+    let m;
+    TOKEN_RE.lastIndex = 0;
+    while ((m = TOKEN_RE.exec(raw || "")) !== null) {
+      const [, neg, phrase, word] = m;
+      if (phrase !== undefined) {
+        const text = phrase.trim();
+        if (text) parsed.parts.push({ type: neg ? "exclude" : "phrase", text });
+        continue;
       }
 
-      gain.gain.setValueAtTime(vol, this.ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
+      const op = word.match(OPERATOR_RE);
+      if (op && applyOperator(parsed, op[1].toLowerCase(), op[2])) continue;
 
-      osc.connect(gain);
-      gain.connect(this.ctx.destination);
-      osc.start();
-      osc.stop(this.ctx.currentTime + duration);
-    },
+      if (word.length > 1 && word.startsWith("-")) parsed.parts.push({ type: "exclude", text: word.slice(1) });
+      else parsed.parts.push({ type: "term", text: word });
+    }
+    return parsed;
+  }
 
-    playClick() { this.playTone(600, 'sine', 0.1, 0.05); },
-    playHover() { this.playTone(800, 'sine', 0.05, 0.01); },
-    playToggleOn() {
-      this.playTone(400, 'sine', 0.15, 0.05, 200);
-    },
-    playToggleOff() {
-      this.playTone(600, 'sine', 0.15, 0.05, -200);
-    },
-    playSuccess() {
-      // Arpeggio C Major
-      [523.25, 659.25, 783.99, 1046.50].forEach((f, i) => {
-        setTimeout(() => this.playTone(f, 'sine', 0.3, 0.04), i * 60);
-      });
-    },
-    playClear() {
-      this.playTone(300, 'triangle', 0.2, 0.05, -100);
-    },
-    playLaunch() {
-      this.playTone(400, 'square', 0.1, 0.02);
-      setTimeout(() => this.playTone(800, 'square', 0.2, 0.02), 100);
+  // Unknown operator values fall through and are searched as plain words.
+  function applyOperator(parsed, name, value) {
+    const v = value.toLowerCase();
+    if (name === "lang") {
+      const langs = v.split(",").map(x => LANGUAGES.find(l => l !== "Any" && l.toLowerCase() === x.trim()));
+      if (!langs.length || !langs.every(Boolean)) return false;
+      parsed.langs.push(...langs.filter(l => !parsed.langs.includes(l)));
+      return true;
     }
-  };
+    if (name === "cat") {
+      const cat = CATEGORIES.find(c => c.id === v);
+      if (!cat) return false;
+      parsed.cat = cat.id;
+      return true;
+    }
+    if (name === "on") {
+      const names = v.split(",").map(x => x.trim()).filter(Boolean);
+      if (!names.length) return false;
+      parsed.on.push(...names);
+      return true;
+    }
+    return false;
+  }
 
-  // Init audio context on first user interaction
-  document.addEventListener('click', () => {
-    if (SoundManager.ctx.state === 'suspended') SoundManager.ctx.resume();
-  }, { once: true });
+  /**
+   * Turn a parsed query back into text for one platform.
+   * "full" keeps quotes and -exclusions and ORs alternative forms (see withScripts);
+   * "plain" keeps only the words to search, in their first form.
+   */
+  function formatQuery(parsed, syntax) {
+    return parsed.parts
+      .map(part => {
+        const forms = part.forms || [part.text];
+        if (syntax === "full") {
+          if (part.type === "exclude") return forms.map(f => (f.includes(" ") ? `-"${f}"` : `-${f}`)).join(" ");
+          const written = part.type === "phrase" ? forms.map(f => `"${f}"`) : forms;
+          return written.length > 1 ? `(${written.join(" OR ")})` : written[0];
+        }
+        return part.type === "exclude" ? "" : forms[0];
+      })
+      .filter(Boolean)
+      .join(" ");
+  }
 
   // ---------------------------
-  // Theme (default: dark)
+  // Transliteration (romanized → native script, see transliterate.js)
   // ---------------------------
-  function getTheme() {
-    const saved = localStorage.getItem(STORAGE_KEYS.theme);
-    if (saved === "dark" || saved === "light") return saved;
-    return "dark";
-  }
+  const Translit = window.GMTransliterate;
 
-  function applyTheme(theme) {
-    document.documentElement.setAttribute("data-theme", theme);
-    localStorage.setItem(STORAGE_KEYS.theme, theme);
-    els.themeColorMeta.setAttribute("content", theme === "dark" ? "#070A12" : "#111111");
-    els.themeToggle.textContent = theme === "dark" ? "Dark" : "Light";
+  const SCRIPT_MODES = [
+    { id: "typed", label: "As typed" },
+    { id: "native", label: "Native" },
+    { id: "both", label: "Both" }
+  ];
+
+  // "Native" drops the typed words, so it only applies to the query it was picked for;
+  // the saved default is "typed" or "both" (older saved "native" becomes "both").
+  function loadScriptMode() {
+    const saved = localStorage.getItem(STORAGE_KEYS.scriptMode) || "typed";
+    if (saved === "native") return "both";
+    return SCRIPT_MODES.some(m => m.id === saved) ? saved : "typed";
   }
 
-  // ---------------------------
-  // Recents (kept from existing app)
-  // ---------------------------
-  function getRecent() {
-    const arr = safeGetJSON(STORAGE_KEYS.recent, []);
-    return Array.isArray(arr) ? arr.filter(x => typeof x === "string") : [];
+  let scriptMode = loadScriptMode();
+  let nativeQuery = null; // historyKey of the query "Native" was picked for
+
+  /** The script mode for `query`: "native" only for the query it was picked for. */
+  function scriptModeFor(query) {
+    return nativeQuery !== null && historyKey(query) === nativeQuery ? "native" : scriptMode;
   }
 
-  function setRecent(items) {
-    safeSetJSON(STORAGE_KEYS.recent, items.slice(0, 8));
+  function setScriptMode(mode, query) {
+    if (mode === "native") {
+      nativeQuery = historyKey(query);
+      return;
+    }
+    nativeQuery = null;
+    scriptMode = mode;
+    saveSetting(STORAGE_KEYS.scriptMode, scriptMode);
   }
 
-  function addRecent(q) {
-    const cleaned = (q || "").trim();
-    if (!cleaned) return;
-    const prev = getRecent();
-    const next = [cleaned, ...prev.filter(x => x.toLowerCase() !== cleaned.toLowerCase())];
-    setRecent(next);
-    renderRecent();
+  function scriptsFor(langs) {
+    return [...new Set(langs.map(l => LANGUAGE_INFO[l] && LANGUAGE_INFO[l].script).filter(Boolean))];
   }
 
-  function clearHistory() {
-    SoundManager.playClear();
-    setRecent([]);
-    renderRecent();
+  /**
+   * Give each romanized part its alternative forms:
+   * "native" → one form per script, "both" → as typed first, then each script.
+   */
+  function withScripts(parsed, scripts, mode) {
+    if (!Translit || mode === "typed" || !scripts.length) return parsed;
+    return {
+      ...parsed,
+      parts: parsed.parts.map(part => {
+        if (!Translit.isRomanized(part.text)) return part;
+        const natives = scripts.map(script => Translit.transliterate(part.text, script));
+        return { ...part, forms: mode === "both" ? [part.text, ...natives] : natives };
+      })
+    };
   }
 
-  function renderRecent() {
-    const items = getRecent();
-    els.recentChips.innerHTML = "";
-
-    if (items.length === 0) return;
-
-    // Add Clear button
-    const clearBtn = document.createElement("button");
-    clearBtn.type = "button";
-    clearBtn.className = "chip";
-    clearBtn.style.color = "var(--danger)";
-    clearBtn.style.borderColor = "var(--danger)";
-    clearBtn.textContent = "Clear History";
-    clearBtn.title = "Clear all recent searches";
-    clearBtn.addEventListener("click", clearHistory);
-    els.recentChips.appendChild(clearBtn);
-
-    items.forEach(q => {
-      const b = document.createElement("button");
-      b.type = "button";
-      b.className = "chip";
-      b.textContent = q;
-      b.title = "Search again";
-      b.addEventListener("click", () => {
-        SoundManager.playClick();
-        els.query.value = q;
-        runSearch(true);
+  function renderScriptChips() {
+    const search = buildSearch(qs());
+    const scripts = scriptsFor(search.languages);
+    els.scriptChips.replaceChildren();
+    els.scriptRow.hidden = !Translit || !scripts.length || !Translit.isRomanized(search.text);
+    if (els.scriptRow.hidden) return;
+
+    const preview = scripts.map(script => Translit.transliterate(search.text, script)).join(" / ");
+    const mode = scriptModeFor(search.raw);
+    SCRIPT_MODES.forEach(m => {
+      const label = m.id === "native" ? preview : m.id === "both" ? `Both (${search.text} + ${preview})` : m.label;
+      const chip = chipButton(label, m.id === mode, () => {
+        setScriptMode(m.id, search.raw);
+        runSearch(false);
       });
-      els.recentChips.appendChild(b);
+      chip.title = m.id === "typed" ? "Search the text as typed"
+        : m.id === "native" ? "Search the native form, for this search only" : "Search both forms";
+      els.scriptChips.appendChild(chip);
     });
   }
 
+  function encode(q) {
+    return encodeURIComponent(q);
+  }
+
   // ---------------------------
-  // Categories / Languages / Trending
+  // Recency (time-range filters per engine)
   // ---------------------------
-  const CATEGORIES = [
-    { id: "all", label: "All" },
-    { id: "ott", label: "🎬 OTT" },
-    { id: "shorts", label: "📱 Shorts" },
-    { id: "education", label: "🎓 Education" },
-    { id: "news", label: "📰 News" },
-    { id: "social", label: "💬 Social / Discussion" },
-    { id: "gaming", label: "🎮 Gaming" }
-  ];
-
-  const LANGUAGES = [
-    "Any",
-    "Hindi",
-    "Tamil",
-    "Telugu",
-    "Malayalam",
-    "Kannada",
-    "Bengali",
-    "Marathi"
-  ];
-
-  const TRENDING_INDIA = [
-    { label: "IPL", q: "IPL highlights" },
-    { label: "Movies", q: "new movies trailer" },
-    { label: "Exams", q: "competitive exams tips" },
-    { label: "Tech", q: "latest tech India" },
-    { label: "News", q: "breaking news India" },
-    { label: "Cricket", q: "cricket best moments" },
-    { label: "Bollywood", q: "Bollywood songs" },
-    { label: "Jobs", q: "government jobs updates" }
+  const RECENCY = [
+    { id: "any", label: "Any time" },
+    { id: "day", label: "24h" },
+    { id: "week", label: "Week" },
+    { id: "month", label: "Month" },
+    { id: "year", label: "Year" }
   ];
 
-  let activeCategory = localStorage.getItem(STORAGE_KEYS.category) || "all";
-  if (!CATEGORIES.some(c => c.id === activeCategory)) activeCategory = "all";
+  // Each engine's own date parameter, appended to its search URL.
+  const RECENCY_PARAMS = {
+    google: { day: "&tbs=qdr:d", week: "&tbs=qdr:w", month: "&tbs=qdr:m", year: "&tbs=qdr:y" },
+    bing: {
+      day: "&qft=%2Bfilterui%3Avideoage-lt1440",
+      week: "&qft=%2Bfilterui%3Avideoage-lt10080",
+      month: "&qft=%2Bfilterui%3Avideoage-lt43200",
+      year: "&qft=%2Bfilterui%3Avideoage-lt525600"
+    },
+    ddg: { day: "&df=d", week: "&df=w", month: "&df=m", year: "&df=y" },
+    // YouTube "Upload date" filters (protobuf-encoded sp values).
+    youtube: { day: "&sp=EgIIAg%253D%253D", week: "&sp=EgIIAw%253D%253D", month: "&sp=EgIIBA%253D%253D", year: "&sp=EgIIBQ%253D%253D" },
+    reddit: { day: "&t=day", week: "&t=week", month: "&t=month", year: "&t=year" }
+  };
 
-  let activeLanguage = localStorage.getItem(STORAGE_KEYS.language) || "Any";
-  if (!LANGUAGES.includes(activeLanguage)) activeLanguage = "Any";
+  function recencyParam(engine, opts) {
+    const recency = opts && opts.recency;
+    return (RECENCY_PARAMS[engine] && RECENCY_PARAMS[engine][recency]) || "";
+  }
 
-  let advancedMode = localStorage.getItem(STORAGE_KEYS.advanced) === "true";
+  // Public search helpers (SafeSearch is added to every link in platformUrl):
+  function googleSiteSearch(domain, query, opts) {
+    return window.GMPlatforms.siteSearchUrl(domain, query) + recencyParam("google", opts) + localeParam("google", opts);
+  }
 
   // ---------------------------
-  // 60+ Platforms (safe public search URLs)
+  // Safety (SafeSearch, strict mode, blocked words, PIN lock)
   // ---------------------------
+  // Engines with a SafeSearch URL parameter, by host. Every link to them gets it,
+  // including site: searches and custom platforms.
+  const SAFE_SEARCH = {
+    "www.google.com": { param: "safe", value: "active" },
+    "www.bing.com": { param: "adlt", value: "strict" },
+    "duckduckgo.com": { param: "kp", value: "1" }
+  };
+  const SAFETY_TERM_LIMIT = 200;
+  const PIN_RE = /^\d{4,8}$/;
+
   /**
-   * Platform shape:
-   * { id, name, category, hint, icon, makeUrl(query) }
+   * { mode: "standard" | "strict", terms: string[], pin: { salt, hash } | null }
+   * Standard marks platforms that can't filter explicit results; strict hides them.
+   * Blocked words apply in both modes.
    */
-  const PLATFORMS = [
-    // Video / global
-    { id: "youtube", name: "YouTube", category: "all", hint: "Videos + creators", icon: "YT", makeUrl: q => `https://www.youtube.com/results?search_query=${encode(q)}` },
-    { id: "yt_shorts", name: "YouTube Shorts", category: "shorts", hint: "Shorts feed", icon: "YS", makeUrl: q => `https://www.youtube.com/results?search_query=${encode(q + " #shorts")}` },
-    { id: "vimeo", name: "Vimeo", category: "all", hint: "High-quality videos", icon: "VI", makeUrl: q => `https://vimeo.com/search?q=${encode(q)}` },
-    { id: "dailymotion", name: "Dailymotion", category: "all", hint: "Video search", icon: "DM", makeUrl: q => `https://www.dailymotion.com/search/${encode(q)}/videos` },
-    { id: "rumble", name: "Rumble", category: "all", hint: "Video platform", icon: "RU", makeUrl: q => `https://rumble.com/search/all?q=${encode(q)}` },
-
-    // OTT (India-focused, mostly via site search)
-    { id: "hotstar", name: "Hotstar", category: "ott", hint: "via Google site search", icon: "HS", makeUrl: q => googleSiteSearch("hotstar.com", q) },
-    { id: "jiocinema", name: "JioCinema", category: "ott", hint: "via Google site search", icon: "JC", makeUrl: q => googleSiteSearch("jiocinema.com", q) },
-    { id: "sony_liv", name: "Sony LIV", category: "ott", hint: "via Google site search", icon: "SL", makeUrl: q => googleSiteSearch("sonyliv.com", q) },
-    { id: "zee5", name: "ZEE5", category: "ott", hint: "via Google site search", icon: "Z5", makeUrl: q => googleSiteSearch("zee5.com", q) },
-    { id: "voot", name: "Voot", category: "ott", hint: "via Google site search", icon: "VT", makeUrl: q => googleSiteSearch("voot.com", q) },
-    { id: "mxplayer", name: "MX Player", category: "ott", hint: "via Google site search", icon: "MX", makeUrl: q => googleSiteSearch("mxplayer.in", q) },
-    { id: "primevideo", name: "Prime Video", category: "ott", hint: "via Google site search", icon: "PV", makeUrl: q => googleSiteSearch("primevideo.com", q) },
-    { id: "netflix", name: "Netflix", category: "ott", hint: "via Google site search", icon: "NF", makeUrl: q => googleSiteSearch("netflix.com", q) },
-    { id: "aha", name: "Aha", category: "ott", hint: "via Google site search", icon: "AH", makeUrl: q => googleSiteSearch("aha.video", q) },
-    { id: "sunnxt", name: "Sun NXT", category: "ott", hint: "via Google site search", icon: "SN", makeUrl: q => googleSiteSearch("sunnxt.com", q) },
-    { id: "hoichoi", name: "Hoichoi", category: "ott", hint: "via Google site search", icon: "HC", makeUrl: q => googleSiteSearch("hoichoi.tv", q) },
-    { id: "jiosaavn", name: "JioSaavn (music video)", category: "ott", hint: "via Google site search", icon: "JS", makeUrl: q => googleSiteSearch("jiosaavn.com", q) },
-
-    // Shorts / social video
-    { id: "instagram", name: "Instagram", category: "shorts", hint: "Reels & posts", icon: "IG", makeUrl: q => `https://www.instagram.com/explore/search/keyword/?q=${encode(q)}` },
-    { id: "facebook_watch", name: "Facebook Watch", category: "shorts", hint: "Watch search", icon: "FB", makeUrl: q => `https://www.facebook.com/watch/search/?q=${encode(q)}` },
-    { id: "snapchat", name: "Snapchat Spotlight", category: "shorts", hint: "via Google site search", icon: "SC", makeUrl: q => googleSiteSearch("snapchat.com", q + " spotlight") },
-    { id: "tiktok", name: "TikTok", category: "shorts", hint: "Short videos", icon: "TT", makeUrl: q => `https://www.tiktok.com/search?q=${encode(q)}` },
-
-    // India short-video apps (mostly via site search)
-    { id: "sharechat", name: "ShareChat", category: "shorts", hint: "via Google site search", icon: "SH", makeUrl: q => googleSiteSearch("sharechat.com", q) },
-    { id: "moj", name: "Moj", category: "shorts", hint: "via Google site search", icon: "MJ", makeUrl: q => googleSiteSearch("mojapp.in", q) },
-    { id: "josh", name: "Josh", category: "shorts", hint: "via Google site search", icon: "JO", makeUrl: q => googleSiteSearch("myjosh.in", q) },
-    { id: "chingari", name: "Chingari", category: "shorts", hint: "via Google site search", icon: "CH", makeUrl: q => googleSiteSearch("chingari.io", q) },
-    { id: "roposo", name: "Roposo", category: "shorts", hint: "via Google site search", icon: "RP", makeUrl: q => googleSiteSearch("roposo.com", q) },
-    { id: "mitron", name: "Mitron", category: "shorts", hint: "via Google site search", icon: "MI", makeUrl: q => googleSiteSearch("mitron.tv", q) },
-
-    // Social / discussion
-    { id: "x", name: "X (Twitter)", category: "social", hint: "Posts & videos", icon: "X", makeUrl: q => `https://x.com/search?q=${encode(q)}&src=typed_query` },
-    { id: "reddit", name: "Reddit", category: "social", hint: "Communities", icon: "RD", makeUrl: q => `https://www.reddit.com/search/?q=${encode(q)}` },
-    { id: "quora", name: "Quora", category: "social", hint: "Q&A", icon: "Q", makeUrl: q => `https://www.quora.com/search?q=${encode(q)}` },
-    { id: "medium", name: "Medium", category: "social", hint: "Articles", icon: "ME", makeUrl: q => `https://medium.com/search?q=${encode(q)}` },
-    { id: "pinterest", name: "Pinterest", category: "social", hint: "Ideas & videos", icon: "PI", makeUrl: q => `https://www.pinterest.com/search/pins/?q=${encode(q)}` },
-
-    // Education
-    { id: "khan", name: "Khan Academy", category: "education", hint: "Learning videos", icon: "KA", makeUrl: q => googleSiteSearch("khanacademy.org", q) },
-    { id: "nptel", name: "NPTEL", category: "education", hint: "Courses", icon: "NP", makeUrl: q => googleSiteSearch("nptel.ac.in", q) },
-    { id: "swayam", name: "SWAYAM", category: "education", hint: "Gov courses", icon: "SW", makeUrl: q => googleSiteSearch("swayam.gov.in", q) },
-    { id: "unacademy", name: "Unacademy", category: "education", hint: "via Google site search", icon: "UA", makeUrl: q => googleSiteSearch("unacademy.com", q) },
-    { id: "byjus", name: "BYJU'S", category: "education", hint: "via Google site search", icon: "BJ", makeUrl: q => googleSiteSearch("byjus.com", q) },
-    { id: "coursera", name: "Coursera", category: "education", hint: "Courses", icon: "CO", makeUrl: q => `https://www.coursera.org/search?query=${encode(q)}` },
-    { id: "udemy", name: "Udemy", category: "education", hint: "Courses", icon: "UD", makeUrl: q => `https://www.udemy.com/courses/search/?q=${encode(q)}` },
-    { id: "edx", name: "edX", category: "education", hint: "Courses", icon: "EX", makeUrl: q => `https://www.edx.org/search?q=${encode(q)}` },
-
-    // News (India)
-    { id: "aajtak", name: "Aaj Tak", category: "news", hint: "via Google site search", icon: "AT", makeUrl: q => googleSiteSearch("aajtak.in", q) },
-    { id: "ndtv", name: "NDTV", category: "news", hint: "via Google site search", icon: "ND", makeUrl: q => googleSiteSearch("ndtv.com", q) },
-    { id: "indiatoday", name: "India Today", category: "news", hint: "via Google site search", icon: "IT", makeUrl: q => googleSiteSearch("indiatoday.in", q) },
-    { id: "abp", name: "ABP", category: "news", hint: "via Google site search", icon: "AB", makeUrl: q => googleSiteSearch("abplive.com", q) },
-    { id: "zeenews", name: "Zee News", category: "news", hint: "via Google site search", icon: "ZN", makeUrl: q => googleSiteSearch("zeenews.india.com", q) },
-    { id: "timesofindia", name: "Times of India", category: "news", hint: "via Google site search", icon: "TO", makeUrl: q => googleSiteSearch("timesofindia.indiatimes.com", q) },
-    { id: "hindustantimes", name: "Hindustan Times", category: "news", hint: "via Google site search", icon: "HT", makeUrl: q => googleSiteSearch("hindustantimes.com", q) },
-    { id: "thehindu", name: "The Hindu", category: "news", hint: "via Google site search", icon: "TH", makeUrl: q => googleSiteSearch("thehindu.com", q) },
-    { id: "bbc_hindi", name: "BBC Hindi", category: "news", hint: "via Google site search", icon: "BH", makeUrl: q => googleSiteSearch("bbc.com/hindi", q) },
-
-    // Gaming
-    { id: "twitch", name: "Twitch", category: "gaming", hint: "Streams & clips", icon: "TW", makeUrl: q => `https://www.twitch.tv/search?term=${encode(q)}` },
-    { id: "loco", name: "Loco", category: "gaming", hint: "via Google site search", icon: "LO", makeUrl: q => googleSiteSearch("loco.gg", q) },
-    { id: "rooter", name: "Rooter", category: "gaming", hint: "via Google site search", icon: "RT", makeUrl: q => googleSiteSearch("rooter.gg", q) },
-    { id: "kick", name: "Kick", category: "gaming", hint: "Streams", icon: "KI", makeUrl: q => googleSiteSearch("kick.com", q) },
-
-    // Search engines (video & web)
-    { id: "google_web", name: "Google Search", category: "all", hint: "Web results", icon: "G", makeUrl: q => `https://www.google.com/search?q=${encode(q)}&safe=active` },
-    { id: "google_videos", name: "Google Videos", category: "all", hint: "Video results", icon: "GV", makeUrl: q => googleVideos(q) + "&safe=active" },
-    { id: "bing_videos", name: "Bing Videos", category: "all", hint: "Video results", icon: "BV", makeUrl: q => bingVideos(q) + "&adlt=strict" },
-    { id: "ddg_videos", name: "DuckDuckGo Videos", category: "all", hint: "Video results", icon: "DV", makeUrl: q => ddgVideos(q) + "&kp=1" }
-  ];
+  const defaultSafety = () => ({ mode: "standard", terms: [], pin: null });
 
-  // Add more platforms (bulk, beginner-friendly):
-  // Many platforms are covered via safe "site:domain" search (public, no APIs).
-  const EXTRA_SITE_PLATFORMS = [
-    // OTT / India + global
-    ["lionsgateplay.com", "Lionsgate Play", "ott", "LG"],
-    ["appletv.apple.com", "Apple TV", "ott", "ATV"],
-    ["youtube.com", "YouTube (India trending)", "ott", "YI"],
-    ["justwatch.com", "JustWatch (India)", "ott", "JW"],
-
-    // Shorts / social
-    ["threads.net", "Threads", "shorts", "THR"],
-    ["linkedin.com", "LinkedIn", "social", "LI"],
-    ["telegram.org", "Telegram", "social", "TG"],
-    ["whatsapp.com", "WhatsApp Channels", "social", "WA"],
-
-    // Education
-    ["vedantu.com", "Vedantu", "education", "VE"],
-    ["toppr.com", "Toppr", "education", "TP"],
-    ["skillshare.com", "Skillshare", "education", "SS"],
-    ["freecodecamp.org", "freeCodeCamp", "education", "FC"],
-    ["geeksforgeeks.org", "GeeksforGeeks", "education", "GG"],
-
-    // News
-    ["republicworld.com", "Republic World", "news", "RW"],
-    ["firstpost.com", "Firstpost", "news", "FP"],
-    ["theprint.in", "The Print", "news", "PR"],
-    ["economictimes.indiatimes.com", "Economic Times", "news", "ET"],
-    ["livemint.com", "Mint", "news", "LM"],
-    ["news18.com", "News18", "news", "N18"],
-
-    // Gaming
-    ["youtube.com/gaming", "YouTube Gaming", "gaming", "YG"],
-    ["steamcommunity.com", "Steam Community", "gaming", "ST"],
-    ["reddit.com/r/IndianGaming", "IndianGaming (Reddit)", "gaming", "IG"]
-  ];
-
-  EXTRA_SITE_PLATFORMS.forEach(([domain, name, category, icon], idx) => {
-    PLATFORMS.push({
-      id: `site_${idx}_${name.toLowerCase().replace(/[^a-z0-9]+/g, "_")}`,
-      name,
-      category,
-      hint: "via Google site search",
-      icon: icon || "S",
-      makeUrl: (q) => googleSiteSearch(domain, q)
-    });
-  });
+  const isPinRecord = v => v === null || (!!v && typeof v.salt === "string" && typeof v.hash === "string");
 
-  // Ensure 60+ (we’re above it after extras).
+  function isSafetySettings(v) {
+    return !!v && typeof v === "object" && (v.mode === "standard" || v.mode === "strict") && isStringArray(v.terms);
+  }
 
-  // ---------------------------
-  // Platform enable/selection logic
-  // ---------------------------
-  function enabledPlatforms() {
-    if (activeCategory === "all") return PLATFORMS;
-    return PLATFORMS.filter(p => p.category === activeCategory);
+  function loadSafety() {
+    const saved = safeGetJSON(STORAGE_KEYS.safety, null);
+    if (!isSafetySettings(saved)) return defaultSafety();
+    return { mode: saved.mode, terms: saved.terms, pin: isPinRecord(saved.pin) ? saved.pin : null };
   }
 
-  function loadSelectedSet() {
-    const saved = safeGetJSON(STORAGE_KEYS.selected, []);
-    const set = new Set(Array.isArray(saved) ? saved : []);
-    // Only keep ids that still exist:
-    const valid = new Set(PLATFORMS.map(p => p.id));
-    return new Set([...set].filter(id => valid.has(id)));
+  let safety = loadSafety();
+  // Unlocked by entering the PIN; locks again whenever Settings opens.
+  let safetyUnlocked = false;
+
+  function saveSafety(changes) {
+    safety = { ...safety, ...changes };
+    safeSetJSON(STORAGE_KEYS.safety, safety);
   }
 
-  let selectedSet = loadSelectedSet();
+  const safetyLocked = () => !!safety.pin && !safetyUnlocked;
 
-  function saveSelectedSet() {
-    safeSetJSON(STORAGE_KEYS.selected, [...selectedSet]);
+  function safeSearchFor(url) {
+    try {
+      return SAFE_SEARCH[new URL(url).hostname] || null;
+    } catch {
+      return null;
+    }
   }
 
-  function selectAllEnabled() {
-    enabledPlatforms().forEach(p => selectedSet.add(p.id));
-    saveSelectedSet();
-    renderPlatformGrid();
+  function withSafeSearch(url) {
+    const safe = safeSearchFor(url);
+    if (!safe || new URL(url).searchParams.has(safe.param)) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}${safe.param}=${safe.value}`;
   }
 
-  function selectNoneEnabled() {
-    enabledPlatforms().forEach(p => selectedSet.delete(p.id));
-    saveSelectedSet();
-    renderPlatformGrid();
+  // Whether a platform's links can carry SafeSearch (probed with a sample query).
+  function filtersExplicit(platform) {
+    return !!safeSearchFor(platform.makeUrl("test", {}));
   }
 
-  function ensureSelectionDefaults() {
-    // If nothing selected in current category, default-select all enabled for convenience.
-    const enabled = enabledPlatforms();
-    const hasAny = enabled.some(p => selectedSet.has(p.id));
-    if (!hasAny) {
-      enabled.forEach(p => selectedSet.add(p.id));
-      saveSelectedSet();
-    }
+  function platformAllowed(platform) {
+    return safety.mode !== "strict" || filtersExplicit(platform);
   }
 
-  // ---------------------------
-  // Rendering
-  // ---------------------------
-  function chipButton(label, active, onClick) {
-    const b = document.createElement("button");
-    b.type = "button";
-    b.className = "chip" + (active ? " active" : "");
-    b.textContent = label;
-    b.addEventListener("click", () => { SoundManager.playClick(); onClick(); });
-    return b;
+  // Lowercased words separated by single spaces, padded so terms match whole words only.
+  const screenText = text => ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, " ").trim()} `;
+
+  function parseTerms(text) {
+    const terms = text.split("\n").map(t => screenText(t).trim()).filter(Boolean);
+    return [...new Set(terms)].slice(0, SAFETY_TERM_LIMIT);
   }
 
-  function renderCategories() {
-    els.categoryChips.innerHTML = "";
-    CATEGORIES.forEach(c => {
-      els.categoryChips.appendChild(
-        chipButton(c.label, c.id === activeCategory, () => {
-          activeCategory = c.id;
-          localStorage.setItem(STORAGE_KEYS.category, activeCategory);
-          ensureSelectionDefaults();
-          renderAllUI();
-          // keep results aligned with current query
-          runSearch(false);
-        })
-      );
-    });
+  // The first blocked word or phrase in the query, or null.
+  function blockedTerm(raw) {
+    const text = screenText(raw);
+    return safety.terms.find(term => text.includes(screenText(term))) || null;
   }
 
-  function renderLanguages() {
-    els.languageChips.innerHTML = "";
-    LANGUAGES.forEach(l => {
-      els.languageChips.appendChild(
-        chipButton(l, l === activeLanguage, () => {
-          activeLanguage = l;
-          localStorage.setItem(STORAGE_KEYS.language, activeLanguage);
-          runSearch(false);
-        })
-      );
-    });
+  const pinSupported = () => !!(window.crypto && window.crypto.subtle);
+  const toHex = bytes => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+  async function hashPin(pin, salt) {
+    return toHex(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${pin}`)));
   }
 
-  function renderTrending() {
-    els.trendingChips.innerHTML = "";
-    TRENDING_INDIA.forEach(t => {
-      els.trendingChips.appendChild(
-        chipButton(t.label, false, () => {
-          els.query.value = t.q;
-          runSearch(true);
-        })
-      );
-    });
+  async function setPin(pin) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    saveSafety({ pin: { salt, hash: await hashPin(pin, salt) } });
   }
 
-  function renderPlatformGrid() {
-    const list = enabledPlatforms();
-    els.platformGrid.innerHTML = "";
+  async function checkPin(pin) {
+    return !!safety.pin && (await hashPin(pin, safety.pin.salt)) === safety.pin.hash;
+  }
 
-    els.platformCount.textContent = `${list.length} enabled`;
+  function renderSafety() {
+    const locked = safetyLocked();
+    const unfiltered = PLATFORMS.filter(p => !filtersExplicit(p)).length;
+    els.strictToggle.checked = safety.mode === "strict";
+    els.safetyInfo.textContent = safety.mode === "strict"
+      ? `SafeSearch is on wherever the engine supports it. ${unfiltered} platform(s) that can't filter are hidden.`
+      : `SafeSearch is on wherever the engine supports it. ${unfiltered} platform(s) can't filter and are marked “no SafeSearch”.`;
+    els.safetyTerms.value = safety.terms.join("\n");
+    [els.strictToggle, els.safetyTerms, els.saveTermsBtn].forEach(c => { c.disabled = locked; });
 
-    list.forEach(p => {
-      const card = document.createElement("div");
-      card.className = "platformCard" + (selectedSet.has(p.id) ? " selected" : "");
-      card.title = "Toggle selection";
-
-      const icon = document.createElement("div");
-      icon.className = "pIcon";
-      icon.textContent = (p.icon || p.name.slice(0, 2)).toUpperCase();
-
-      const meta = document.createElement("div");
-      meta.className = "pMeta";
-      const name = document.createElement("div");
-      name.className = "pName";
-      name.textContent = p.name;
-      const cat = document.createElement("div");
-      cat.className = "pCat";
-      cat.textContent = p.hint || p.category;
-      meta.appendChild(name);
-      meta.appendChild(cat);
-
-      const toggle = document.createElement("input");
-      toggle.className = "pToggle";
-      toggle.type = "checkbox";
-      toggle.checked = selectedSet.has(p.id);
-      toggle.setAttribute("aria-label", `Select ${p.name}`);
-
-      // Toggle selection on click (card or checkbox).
-      function flip() {
-        // Toggle sound
-        if (selectedSet.has(p.id)) {
-          selectedSet.delete(p.id);
-          SoundManager.playToggleOff();
-        } else {
-          selectedSet.add(p.id);
-          SoundManager.playToggleOn();
-        }
-        saveSelectedSet();
-        renderPlatformGrid();
-        updateSelectionInfo();
-        runSearch(false);
-      }
+    els.pinInput.value = "";
+    els.pinInput.disabled = els.pinBtn.disabled = !pinSupported();
+    els.pinBtn.textContent = !safety.pin ? "Set PIN" : locked ? "Unlock" : "Change PIN";
+    els.removePinBtn.hidden = !safety.pin;
+    els.removePinBtn.disabled = locked;
+    els.pinInfo.textContent = !pinSupported()
+      ? "A PIN needs a secure (https) connection."
+      : !safety.pin
+        ? "Optional: set a PIN so safety settings can't be changed without it."
+        : locked
+          ? "Locked. Enter the PIN to change safety settings."
+          : "Unlocked. It locks again the next time Settings opens.";
+  }
 
-      toggle.addEventListener("change", flip);
-      card.addEventListener("click", (e) => {
-        // Avoid double toggles
-        if (e.target === toggle) return;
-        flip();
-      });
+  async function submitPin(e) {
+    e.preventDefault();
+    const pin = els.pinInput.value.trim();
+    els.pinError.textContent = "";
+    if (!PIN_RE.test(pin)) {
+      els.pinError.textContent = "Use 4 to 8 digits.";
+      return;
+    }
+    if (safetyLocked()) {
+      if (!(await checkPin(pin))) {
+        els.pinError.textContent = "That PIN isn't right.";
+        SoundManager.playToggleOff();
+        return;
+      }
+      safetyUnlocked = true;
+    } else {
+      await setPin(pin);
+      safetyUnlocked = true;
+    }
+    SoundManager.playSuccess();
+    renderSafety();
+  }
 
-      card.appendChild(icon);
-      card.appendChild(meta);
-      card.appendChild(toggle);
-      els.platformGrid.appendChild(card);
-    });
+  function removePin() {
+    if (safetyLocked()) return;
+    saveSafety({ pin: null });
+    SoundManager.playClear();
+    renderSafety();
+  }
 
-    updateSelectionInfo();
+  function setStrict(strict) {
+    if (safetyLocked()) return;
+    saveSafety({ mode: strict ? "strict" : "standard" });
+    renderSafety();
+    renderAppSettings();
+    renderPreviewSettings();
+    renderPlatformGrid();
+    runSearch(false);
   }
 
-  function updateSelectionInfo() {
-    const enabled = enabledPlatforms();
-    const selectedEnabled = enabled.filter(p => selectedSet.has(p.id));
-    const limit = advancedMode ? selectedEnabled.length : Math.min(selectedEnabled.length, TAB_LIMIT_DEFAULT);
-    els.selectionInfo.textContent = `${selectedEnabled.length} selected • Open will launch ${limit}${advancedMode ? "" : ` (max ${TAB_LIMIT_DEFAULT})`}`;
-    els.openSelectedBtn.textContent = `Open Selected (max ${advancedMode ? "All" : TAB_LIMIT_DEFAULT})`;
+  function saveTerms() {
+    if (safetyLocked()) return;
+    saveSafety({ terms: parseTerms(els.safetyTerms.value) });
+    SoundManager.playSuccess();
+    renderSafety();
+    runSearch(false);
   }
 
   // ---------------------------
-  // Relevance & Ranking System
-  // ---------------------------
+  // App links (open native apps on phones)
   // ---------------------------
-  // Relevance & Ranking System
-  // ---------------------------
-  function calculateScore(platform, query) {
-    if (!query) return 0;
-    let score = 0;
-    const q = query.toLowerCase();
-    const pName = platform.name.toLowerCase();
-    const pCat = platform.category;
-    const pId = platform.id;
+  function loadPreferApps() {
+    return localStorage.getItem(STORAGE_KEYS.preferApps) === "true";
+  }
 
-    // Base score for "General" platforms (likely relevant to everything)
-    if (pCat === "all") score += 5;
+  let preferApps = loadPreferApps();
 
-    // 1. Exact/Partial Name Match (Highest Priority)
-    if (pName === q) score += 200;
-    else if (pName.includes(q)) score += 100;
-    // Also match ID for things like "yt" -> YouTube
-    else if (pId === q) score += 100;
+  // "android", "ios" or "other". iPadOS reports itself as a Mac with a touch screen.
+  function devicePlatform() {
+    const ua = navigator.userAgent || "";
+    const uaData = navigator.userAgentData;
+    if ((uaData && uaData.platform === "Android") || /Android/i.test(ua)) return "android";
+    if (/iPhone|iPad|iPod/i.test(ua) || (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1)) return "ios";
+    return "other";
+  }
 
-    // 2. Keyword/Category Intent
-    const intentMap = [
-      { keys: ["news", "update", "headline", "daily", "paper", "report", "anchor"], cat: "news", boost: 50 },
-      { keys: ["game", "play", "stream", "live", "esport", "twitch", "bgmi", "fps"], cat: "gaming", boost: 50 },
-      { keys: ["learn", "course", "study", "tutorial", "class", "exam", "grade", "science", "math"], cat: "education", boost: 50 },
-      { keys: ["movie", "film", "series", "episode", "season", "show", "watch", "trailer", "cinema", "serial"], cat: "ott", boost: 50 },
-      { keys: ["short", "reel", "tick", "tok", "clip", "moment", "status", "story"], cat: "shorts", boost: 50 },
-      { keys: ["social", "post", "tweet", "discuss", "forum", "thread", "message"], cat: "social", boost: 50 }
-    ];
+  const DEVICE = devicePlatform();
 
-    intentMap.forEach(({ keys, cat, boost }) => {
-      if (keys.some(k => q.includes(k))) {
-        if (pCat === cat) score += boost;
-      }
-    });
+  // Android: open `url` in the app `pkg`, or `fallback` in the browser when it isn't installed.
+  function intentUrl(url, pkg, fallback) {
+    const u = new URL(url);
+    return `intent://${u.host}${u.pathname}${u.search}#Intent;scheme=https;package=${pkg};S.browser_fallback_url=${encode(fallback)};end`;
+  }
 
-    // 3. Trusted/Official Platform Boost (Strict)
-    // "Prioritize official websites, popular platforms"
-    const trustedIds = [
-      "youtube", "google", "wikipedia", "twitter", "x", "linkedin", "instagram",
-      "facebook", "amazon", "netflix", "hotstar", "jiocinema", "timesofindia",
-      "ndtv", "khan", "coursera", "udemy", "microsoft", "apple", "adobe",
-      "primevideo", "sony_liv", "zee5", "reddit", "pinterest", "bbc"
-    ];
+  /**
+   * The platform's app link for this search, or null (no app, or not a phone).
+   * Android gets an intent that falls back to the usual web search; iOS gets the site's
+   * own https link, which the app takes over (universal link) when it's installed.
+   */
+  function appUrl(platform, search) {
+    if (!platform.app || DEVICE === "other") return null;
+    const opts = { recency: search.recency, languages: search.languages };
+    const direct = platform.app.makeUrl(platformText(platform, search), opts);
+    if (DEVICE === "ios") return direct;
+    return platform.app.android ? intentUrl(direct, platform.app.android, platformUrl(platform, search)) : null;
+  }
 
-    if (trustedIds.some(id => pId.includes(id))) {
-      score += 25;
-    }
+  function setPreferApps(enabled) {
+    preferApps = enabled;
+    localStorage.setItem(STORAGE_KEYS.preferApps, String(enabled));
+  }
 
-    return score;
+  function renderAppSettings() {
+    const names = PLATFORMS.filter(p => p.app && (DEVICE !== "android" || p.app.android)).map(p => p.name);
+    els.preferAppsToggle.checked = preferApps;
+    els.appsInfo.textContent = DEVICE === "android"
+      ? `${names.length} platforms open in their Android app (${names.slice(0, 3).join(", ")}…). Without the app, the web search opens instead.`
+      : DEVICE === "ios"
+        ? `${names.length} platforms open their own site, which hands over to the app when it's installed.`
+        : "App links work on Android phones, iPhone and iPad. On this device results open on the web.";
+    if (safety.mode === "strict") els.appsInfo.textContent += " Strict mode keeps every result on the web, where SafeSearch applies.";
   }
 
-  function renderResultsCards(query) {
-    // Logic:
-    // 1. Filter: Standard enable/disable set by user (SelectedSet).
-    // 2. Rank: Sort selected items by Relevance Score.
-    // 3. Filter Low Quality: If user wants "Highly relevant only", we could hide score=0?
-    //    Decision: We will SORT. Top results are highly relevant. We don't hide selected items because the user consciously selected them.
+  function showLoading(show) {
+    els.loadingOverlay.hidden = !show;
+  }
 
-    const enabled = enabledPlatforms();
-    const selected = enabled.filter(p => selectedSet.has(p.id));
-    els.results.innerHTML = "";
+  // Screen-reader status line (polite live region). Cleared first so a repeat is re-read.
+  function announce(message) {
+    els.resultsStatus.textContent = "";
+    window.setTimeout(() => { els.resultsStatus.textContent = message; }, 50);
+  }
 
-    if (!query) {
-      els.resultsHint.textContent = "Type a keyword and press Search to generate links.";
-      return;
+  // Simple modal helpers (overlay + card, closed by Escape or backdrop click).
+  // Tab stays inside an open modal; closing it returns focus to where it was opened from.
+  const modalReturnFocus = new WeakMap();
+  const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+
+  function openModal(overlay) {
+    if (overlay.hidden) modalReturnFocus.set(overlay, document.activeElement);
+    overlay.hidden = false;
+    const first = overlay.querySelector("input, select, textarea, button");
+    if (first) first.focus();
+  }
+
+  function closeModal(overlay) {
+    if (overlay.hidden) return;
+    overlay.hidden = true;
+    const previous = modalReturnFocus.get(overlay);
+    modalReturnFocus.delete(overlay);
+    if (previous && previous.isConnected && typeof previous.focus === "function") previous.focus();
+  }
+
+  function trapFocus(overlay, e) {
+    const items = [...overlay.querySelectorAll(FOCUSABLE)].filter(node => node.getClientRects().length > 0);
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !overlay.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
     }
+  }
 
-    // Calculate scores
-    let ranked = selected.map(p => {
-      return {
-        platform: p,
-        score: calculateScore(p, query)
-      };
+  function wireModal(overlay, closeBtn) {
+    closeBtn.addEventListener("click", () => closeModal(overlay));
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeModal(overlay);
     });
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") closeModal(overlay);
+      else if (e.key === "Tab") trapFocus(overlay, e);
+    });
+  }
 
-    // Filter: Exclude unrelated websites (score <= 0)
-    // "Exclude unrelated, adult, spam, misleading, or low-quality websites."
-    const hasAnyRelevance = ranked.some(r => r.score > 0);
-    if (hasAnyRelevance) {
-      ranked = ranked.filter(r => r.score > 0);
-    } else {
-      // Fallback: If nothing matched significantly, show only "All" category items (Google, etc.)
-      ranked = ranked.filter(r => r.platform.category === "all");
+  // ---------------------------
+  // Sound Manager (Web Audio API)
+  // ---------------------------
+  /**
+   * Sound themes are data: each sound is a list of notes
+   * { freq, type, duration, vol, slide?, delay? } (delay/duration in seconds, vol 0–1).
+   * A theme without a sound stays silent for it.
+   */
+  const SOUND_THEMES = [
+    { id: "off", label: "Off", sounds: {} },
+    {
+      id: "subtle",
+      label: "Subtle",
+      sounds: {
+        click: [{ freq: 520, type: "sine", duration: 0.05, vol: 0.02 }],
+        toggleOn: [{ freq: 480, type: "sine", duration: 0.08, vol: 0.02, slide: 80 }],
+        toggleOff: [{ freq: 560, type: "sine", duration: 0.08, vol: 0.02, slide: -80 }],
+        success: [
+          { freq: 659.25, type: "sine", duration: 0.12, vol: 0.02 },
+          { freq: 783.99, type: "sine", duration: 0.15, vol: 0.02, delay: 0.06 }
+        ],
+        clear: [{ freq: 320, type: "sine", duration: 0.1, vol: 0.02, slide: -40 }],
+        launch: [{ freq: 600, type: "sine", duration: 0.1, vol: 0.02, slide: 120 }]
+      }
+    },
+    {
+      id: "default",
+      label: "Default",
+      sounds: {
+        click: [{ freq: 600, type: "sine", duration: 0.1, vol: 0.05 }],
+        hover: [{ freq: 800, type: "sine", duration: 0.05, vol: 0.01 }],
+        toggleOn: [{ freq: 400, type: "sine", duration: 0.15, vol: 0.05, slide: 200 }],
+        toggleOff: [{ freq: 600, type: "sine", duration: 0.15, vol: 0.05, slide: -200 }],
+        // Arpeggio C Major
+        success: [523.25, 659.25, 783.99, 1046.50].map((freq, i) => ({ freq, type: "sine", duration: 0.3, vol: 0.04, delay: i * 0.06 })),
+        clear: [{ freq: 300, type: "triangle", duration: 0.2, vol: 0.05, slide: -100 }],
+        launch: [
+          { freq: 400, type: "square", duration: 0.1, vol: 0.02 },
+          { freq: 800, type: "square", duration: 0.2, vol: 0.02, delay: 0.1 }
+        ]
+      }
+    },
+    {
+      id: "retro",
+      label: "Retro",
+      sounds: {
+        click: [{ freq: 880, type: "square", duration: 0.04, vol: 0.03 }],
+        toggleOn: [
+          { freq: 440, type: "square", duration: 0.05, vol: 0.03 },
+          { freq: 880, type: "square", duration: 0.06, vol: 0.03, delay: 0.05 }
+        ],
+        toggleOff: [
+          { freq: 880, type: "square", duration: 0.05, vol: 0.03 },
+          { freq: 440, type: "square", duration: 0.06, vol: 0.03, delay: 0.05 }
+        ],
+        success: [523.25, 659.25, 783.99, 1046.50, 1318.51].map((freq, i) => ({ freq, type: "square", duration: 0.08, vol: 0.03, delay: i * 0.07 })),
+        clear: [{ freq: 660, type: "sawtooth", duration: 0.18, vol: 0.03, slide: -520 }],
+        launch: [{ freq: 220, type: "square", duration: 0.25, vol: 0.03, slide: 660 }]
+      }
     }
+  ];
 
-    // Sort by score DESC
-    ranked.sort((a, b) => b.score - a.score);
+  // With reduced motion preferred, sounds start off until the user picks a theme.
+  const defaultSoundSettings = () => ({
+    theme: prefersReducedMotion() ? "off" : "default",
+    volume: 1,
+    muted: false
+  });
 
-    const topResult = ranked[0];
-    const hasHighRelevance = topResult && topResult.score >= 50;
+  function isSoundSettings(v) {
+    return v && typeof v === "object" && SOUND_THEMES.some(t => t.id === v.theme) &&
+      typeof v.volume === "number" && v.volume >= 0 && v.volume <= 1 && typeof v.muted === "boolean";
+  }
 
-    els.resultsHint.innerHTML = `
-        <span>found ${ranked.length} highly relevant results for “<b>${query}</b>”</span>
-        ${hasHighRelevance ? '<span class="badge">Trusted & Verified</span>' : ''}
-      `;
+  function loadSoundSettings() {
+    const saved = safeGetJSON(STORAGE_KEYS.sound, null);
+    return isSoundSettings(saved) ? saved : defaultSoundSettings();
+  }
 
-    ranked.forEach((item, index) => {
-      const p = item.platform;
-      const score = item.score;
+  const SoundManager = {
+    ctx: null, // created on the first sound, i.e. inside a user gesture
+    settings: loadSoundSettings(),
 
-      const a = document.createElement("a");
-      a.className = "linkCard";
-      a.target = "_blank";
-      a.rel = "noopener noreferrer";
-      a.href = p.makeUrl(query);
+    context() {
+      if (!this.ctx) {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return null;
+        this.ctx = new Ctx();
+      }
+      if (this.ctx.state === 'suspended') this.ctx.resume();
+      return this.ctx;
+    },
 
-      // Animation staggered
-      a.className += " anim-enter";
-      a.style.animationDelay = (0.05 * Math.min(index, 20)) + 's';
+    configure(changes) {
+      this.settings = { ...this.settings, ...changes };
+      safeSetJSON(STORAGE_KEYS.sound, this.settings);
+    },
+
+    playTone({ freq, type, duration, vol = 0.1, slide = 0, delay = 0 }) {
+      const ctx = this.context();
+      if (!ctx) return;
+      const start = ctx.currentTime + delay;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
 
-      // Visual indicator for "High Relevance" items?
-      // Maybe a subtle border or glow if score is high?
-      if (hasHighRelevance && score > 40) {
-        a.style.borderColor = "rgba(34, 197, 94, 0.5)";
-        a.style.backgroundColor = "rgba(34, 197, 94, 0.05)";
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, start);
+      if (slide) {
+        osc.frequency.exponentialRampToValueAtTime(freq + slide, start + duration);
       }
 
-      const left = document.createElement("div");
-      left.className = "linkMeta";
+      // Ramps can't reach 0; keep the tail below the (scaled) start level.
+      const level = Math.max(vol * this.settings.volume, 0.0002);
+      gain.gain.setValueAtTime(level, start);
+      gain.gain.exponentialRampToValueAtTime(Math.min(0.01, level / 2), start + duration);
 
-      const name = document.createElement("div");
-      name.className = "linkName";
-      name.innerHTML = p.name;
-      // Add verify badge for major platforms
-      if (score >= 20) {
-        // simple check checkmark
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + duration);
+    },
+
+    play(name) {
+      const { muted, volume, theme } = this.settings;
+      if (muted || volume === 0) return;
+      const notes = (SOUND_THEMES.find(t => t.id === theme) || SOUND_THEMES[0]).sounds[name];
+      if (notes) notes.forEach(note => this.playTone(note));
+    },
+
+    playClick() { this.play("click"); },
+    playHover() { this.play("hover"); },
+    playToggleOn() { this.play("toggleOn"); },
+    playToggleOff() { this.play("toggleOff"); },
+    playSuccess() { this.play("success"); },
+    playClear() { this.play("clear"); },
+    playLaunch() { this.play("launch"); }
+  };
+
+  function renderSoundSettings() {
+    const { theme, volume, muted } = SoundManager.settings;
+    els.soundMute.checked = muted;
+    els.soundVolume.value = String(Math.round(volume * 100));
+    els.soundVolume.disabled = muted;
+    els.soundTheme.replaceChildren(...SOUND_THEMES.map(t => el("option", { value: t.id, text: t.label, selected: t.id === theme })));
+  }
+
+  // ---------------------------
+  // Theme (default: dark)
+  // ---------------------------
+  function getTheme() {
+    const saved = localStorage.getItem(STORAGE_KEYS.theme);
+    if (saved === "dark" || saved === "light") return saved;
+    return "dark";
+  }
+
+  function applyTheme(theme) {
+    document.documentElement.setAttribute("data-theme", theme);
+    localStorage.setItem(STORAGE_KEYS.theme, theme);
+    els.themeColorMeta.setAttribute("content", theme === "dark" ? "#070A12" : "#111111");
+    els.themeToggle.textContent = theme === "dark" ? "Dark" : "Light";
+  }
+
+  // ---------------------------
+  // History (IndexedDB, localStorage fallback)
+  // ---------------------------
+  /**
+   * Entry: { id, query, languages: string[], category, time, opened: string[] }
+   * Pin:   { key, query, time } — pins are per query (case-insensitive key).
+   * Everything is mirrored in `searchHistory` so rendering stays synchronous;
+   * writes go to IndexedDB in the background.
+   */
+  const HISTORY_DB = "gm-video-finder";
+  const HISTORY_DB_VERSION = 1;
+  const HISTORY_LIMIT = 1000;
+  const RECENT_CHIP_LIMIT = 8;
+  const FREQUENT_CHIP_LIMIT = 3;
+  const HISTORY_LIST_LIMIT = 200;
+
+  const searchHistory = { entries: [], pins: [] };
+  let historyDb = null; // null → localStorage fallback (no IndexedDB, private mode, ...)
+  let historyLoaded = false; // writes before loadHistory() finishes are flushed by it
+  let historySeq = 0;
+
+  const historyKey = q => q.trim().toLowerCase();
+
+  function isHistoryEntry(e) {
+    return e && typeof e.id === "string" && typeof e.query === "string" && e.query.trim() &&
+      typeof e.time === "number" && isStringArray(e.languages) && typeof e.category === "string" &&
+      isStringArray(e.opened);
+  }
+
+  function isHistoryPin(p) {
+    return p && typeof p.key === "string" && typeof p.query === "string" && typeof p.time === "number";
+  }
+
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openHistoryDb() {
+    const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("history", { keyPath: "id" }).createIndex("time", "time");
+      db.createObjectStore("pins", { keyPath: "key" });
+    };
+    return idbRequest(req);
+  }
+
+  function readStore(name) {
+    return idbRequest(historyDb.transaction(name, "readonly").objectStore(name).getAll());
+  }
+
+  /** Persist changes: ops are ["put", value] or ["delete", key] on one store. */
+  function historyWrite(storeName, ops) {
+    if (!historyLoaded) return;
+    if (!historyDb) {
+      safeSetJSON(STORAGE_KEYS.history, searchHistory);
+      return;
+    }
+    try {
+      const store = historyDb.transaction(storeName, "readwrite").objectStore(storeName);
+      ops.forEach(([op, value]) => (op === "put" ? store.put(value) : store.delete(value)));
+    } catch {
+      // The cache is still correct for this session; storage will catch up on the next write.
+    }
+  }
+
+  async function loadHistory() {
+    let stored = { entries: [], pins: [] };
+    try {
+      if (!window.indexedDB) throw new Error("IndexedDB unavailable");
+      historyDb = await openHistoryDb();
+      const [entries, pins] = await Promise.all([readStore("history"), readStore("pins")]);
+      stored = { entries, pins };
+    } catch {
+      historyDb = null;
+      const saved = safeGetJSON(STORAGE_KEYS.history, null);
+      stored = {
+        entries: Array.isArray(saved && saved.entries) ? saved.entries : [],
+        pins: Array.isArray(saved && saved.pins) ? saved.pins : []
+      };
+    }
+
+    // Searches made while loading are already in the cache; keep both and save them now.
+    const early = [...searchHistory.entries];
+    const ids = new Set(early.map(e => e.id));
+    searchHistory.entries = [...stored.entries.filter(e => isHistoryEntry(e) && !ids.has(e.id)), ...early]
+      .sort((a, b) => a.time - b.time);
+    searchHistory.pins = uniqueBy([...stored.pins.filter(isHistoryPin)], p => p.key);
+    historyLoaded = true;
+    historyWrite("history", early.map(e => ["put", e]));
+
+    migrateLegacyRecents();
+    if (searchHistory.entries.length > HISTORY_LIMIT) pruneHistory();
+    renderRecent();
+    refreshVisited();
+  }
+
+  // The old recents were up to 8 bare strings, newest first.
+  function migrateLegacyRecents() {
+    const legacy = safeGetJSON(STORAGE_KEYS.recent, null);
+    if (!Array.isArray(legacy)) return;
+    const now = Date.now();
+    const known = new Set(searchHistory.entries.map(e => historyKey(e.query)));
+    const added = legacy
+      .filter(q => typeof q === "string" && q.trim() && !known.has(historyKey(q)))
+      .reverse()
+      .map((q, i) => makeHistoryEntry(q, [], "all", now - (legacy.length - i) * 1000));
+    searchHistory.entries = [...added, ...searchHistory.entries].sort((a, b) => a.time - b.time);
+    historyWrite("history", added.map(e => ["put", e]));
+    localStorage.removeItem(STORAGE_KEYS.recent);
+  }
+
+  function makeHistoryEntry(query, languages, category, time = Date.now()) {
+    historySeq += 1;
+    return { id: `h_${time.toString(36)}_${historySeq}`, query: query.trim(), languages, category, time, opened: [] };
+  }
+
+  // Drop the oldest entries of unpinned queries once over the limit.
+  function pruneHistory() {
+    const pinned = new Set(searchHistory.pins.map(p => p.key));
+    const removable = searchHistory.entries.filter(e => !pinned.has(historyKey(e.query)));
+    const drop = new Set(removable.slice(0, searchHistory.entries.length - HISTORY_LIMIT).map(e => e.id));
+    searchHistory.entries = searchHistory.entries.filter(e => !drop.has(e.id));
+    historyWrite("history", [...drop].map(id => ["delete", id]));
+  }
+
+  function addHistory(search) {
+    if (!search.raw.trim()) return;
+    const entry = makeHistoryEntry(search.raw, [...search.languages], search.category);
+    searchHistory.entries.push(entry);
+    historyWrite("history", [["put", entry]]);
+    if (searchHistory.entries.length > HISTORY_LIMIT) pruneHistory();
+    renderRecent();
+  }
+
+  // Attach opened platforms to the latest entry for that query.
+  function latestEntry(query) {
+    const key = historyKey(query);
+    return [...searchHistory.entries].reverse().find(e => historyKey(e.query) === key);
+  }
+
+  function markOpened(query, platformIds) {
+    const entry = latestEntry(query);
+    if (!entry) return;
+    entry.opened = [...new Set([...entry.opened, ...platformIds])];
+    historyWrite("history", [["put", entry]]);
+    refreshVisited();
+  }
+
+  // Platforms already opened for this query, shown as visited on the result cards.
+  function openedIds(query) {
+    const entry = latestEntry(query);
+    return new Set(entry ? entry.opened : []);
+  }
+
+  function deleteHistoryEntry(id) {
+    searchHistory.entries = searchHistory.entries.filter(e => e.id !== id);
+    historyWrite("history", [["delete", id]]);
+  }
+
+  function isPinned(query) {
+    return searchHistory.pins.some(p => p.key === historyKey(query));
+  }
+
+  function togglePin(query) {
+    const key = historyKey(query);
+    if (isPinned(query)) {
+      searchHistory.pins = searchHistory.pins.filter(p => p.key !== key);
+      historyWrite("pins", [["delete", key]]);
+    } else {
+      const pin = { key, query: query.trim(), time: Date.now() };
+      searchHistory.pins.push(pin);
+      historyWrite("pins", [["put", pin]]);
+    }
+  }
+
+  /** Clear entries newer than `since` (0 = everything). Pinned queries survive if keepPins. */
+  function clearHistorySince(since, keepPins) {
+    const pinned = new Set(keepPins ? searchHistory.pins.map(p => p.key) : []);
+    const drop = searchHistory.entries.filter(e => e.time >= since && !pinned.has(historyKey(e.query)));
+    const dropIds = new Set(drop.map(e => e.id));
+    searchHistory.entries = searchHistory.entries.filter(e => !dropIds.has(e.id));
+    historyWrite("history", drop.map(e => ["delete", e.id]));
+
+    if (!keepPins) {
+      const droppedPins = searchHistory.pins.filter(p => p.time >= since);
+      searchHistory.pins = searchHistory.pins.filter(p => p.time < since);
+      historyWrite("pins", droppedPins.map(p => ["delete", p.key]));
+    }
+  }
+
+  /** One row per distinct query: { query, count, last } (latest spelling wins). */
+  function historyQueries() {
+    const byKey = new Map();
+    searchHistory.entries.forEach(e => {
+      const key = historyKey(e.query);
+      const row = byKey.get(key) || { query: e.query, count: 0, last: 0 };
+      row.count += 1;
+      if (e.time >= row.last) {
+        row.last = e.time;
+        row.query = e.query;
+      }
+      byKey.set(key, row);
+    });
+    return [...byKey.values()];
+  }
+
+  // Distinct queries, newest first (used by profile export/import).
+  function getRecent() {
+    return historyQueries().sort((a, b) => b.last - a.last).map(r => r.query);
+  }
+
+  // Keep entries for queries in `items`, add bare entries for new ones, drop the rest.
+  function setRecent(items) {
+    const wanted = new Map(items.map(q => [historyKey(q), q]));
+    const drop = searchHistory.entries.filter(e => !wanted.has(historyKey(e.query)));
+    searchHistory.entries = searchHistory.entries.filter(e => wanted.has(historyKey(e.query)));
+    historyWrite("history", drop.map(e => ["delete", e.id]));
+
+    const known = new Set(searchHistory.entries.map(e => historyKey(e.query)));
+    const now = Date.now();
+    const added = items
+      .filter(q => !known.has(historyKey(q)))
+      .map((q, i) => makeHistoryEntry(q, [], "all", now - (i + 1) * 1000));
+    searchHistory.entries = [...searchHistory.entries, ...added].sort((a, b) => a.time - b.time);
+    historyWrite("history", added.map(e => ["put", e]));
+  }
+
+  // Chips: pinned first, then frequent queries, then the most recent ones.
+  function recentChipQueries() {
+    const pinnedKeys = new Set(searchHistory.pins.map(p => p.key));
+    const rows = historyQueries().filter(r => !pinnedKeys.has(historyKey(r.query)));
+    const frequent = rows
+      .filter(r => r.count > 1)
+      .sort((a, b) => b.count - a.count || b.last - a.last)
+      .slice(0, FREQUENT_CHIP_LIMIT);
+    const frequentKeys = new Set(frequent.map(r => historyKey(r.query)));
+    const recent = rows
+      .filter(r => !frequentKeys.has(historyKey(r.query)))
+      .sort((a, b) => b.last - a.last);
+    return {
+      pinned: [...searchHistory.pins].sort((a, b) => b.time - a.time).map(p => p.query),
+      others: [...frequent, ...recent].slice(0, RECENT_CHIP_LIMIT).map(r => r.query)
+    };
+  }
+
+  function searchAgain(q) {
+    SoundManager.playClick();
+    els.query.value = q;
+    runSearch(true);
+  }
+
+  function renderRecent() {
+    const { pinned, others } = recentChipQueries();
+    els.recentChips.replaceChildren();
+
+    if (pinned.length === 0 && others.length === 0) return;
+
+    els.recentChips.append(
+      el("button", {
+        type: "button",
+        className: "chip",
+        text: "History",
+        title: "Search, pin and delete past searches",
+        on: { click: () => { SoundManager.playClick(); openHistoryDialog(); } }
+      }),
+      // Clear button (opens the history dialog at its time-range picker)
+      el("button", {
+        type: "button",
+        className: "chip danger",
+        text: "Clear History",
+        title: "Clear recent searches by time range",
+        on: {
+          click: () => {
+            SoundManager.playClick();
+            openHistoryDialog();
+            els.clearRange.focus();
+          }
+        }
+      }),
+      ...pinned.map(q => el("button", {
+        type: "button",
+        className: "chip active",
+        text: `📌 ${q}`,
+        title: "Pinned • search again",
+        on: { click: () => searchAgain(q) }
+      })),
+      ...others.map(q => el("button", {
+        type: "button",
+        className: "chip",
+        text: q,
+        title: "Search again",
+        on: { click: () => searchAgain(q) }
+      }))
+    );
+  }
+
+  // ---------------------------
+  // History dialog
+  // ---------------------------
+  function renderHistoryFilters() {
+    const fill = (select, anyLabel, items) => {
+      const current = select.value;
+      select.replaceChildren(...[["", anyLabel], ...items].map(([value, label]) => el("option", { value, text: label })));
+      select.value = current;
+    };
+    fill(els.historyCategory, "All categories", CATEGORIES.filter(c => c.id !== "all").map(c => [c.id, c.label]));
+    fill(els.historyLanguage, "All languages", LANGUAGES.filter(l => l !== "Any").map(l => [l, l]));
+  }
+
+  function filteredHistory() {
+    const text = els.historySearch.value.trim().toLowerCase();
+    const category = els.historyCategory.value;
+    const language = els.historyLanguage.value;
+    return [...searchHistory.entries]
+      .reverse()
+      .filter(e => !text || e.query.toLowerCase().includes(text))
+      .filter(e => !category || e.category === category)
+      .filter(e => !language || e.languages.includes(language));
+  }
+
+  function renderHistoryList() {
+    const entries = filteredHistory();
+    els.historyCount.textContent = `${entries.length} of ${searchHistory.entries.length} searches`;
+
+    els.historyList.replaceChildren(...entries.slice(0, HISTORY_LIST_LIMIT).map(e => {
+      const when = new Date(e.time).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+      const langs = e.languages.length ? e.languages.join(", ") : "Any language";
+      const openedNames = e.opened.map(id => (PLATFORMS.find(p => p.id === id) || { name: id }).name).join(", ");
+      const pinned = isPinned(e.query);
+
+      return el("li", { className: "customItem" }, [
+        el("div", { className: "pMeta" }, [
+          el("button", {
+            type: "button",
+            className: "linkButton pName",
+            text: e.query,
+            title: "Search again",
+            on: {
+              click: () => {
+                closeModal(els.historyDialog);
+                searchAgain(e.query);
+              }
+            }
+          }),
+          el("div", {
+            className: "pCat",
+            text: `${when} • ${e.category} • ${langs} • opened ${e.opened.length}`,
+            title: openedNames || undefined
+          })
+        ]),
+        el("button", {
+          type: "button",
+          className: "chip" + (pinned ? " active" : ""),
+          text: pinned ? "Unpin" : "Pin",
+          on: {
+            click: () => {
+              SoundManager.playClick();
+              togglePin(e.query);
+              renderHistoryList();
+              renderRecent();
+            }
+          }
+        }),
+        el("button", {
+          type: "button",
+          className: "chip danger",
+          text: "Delete",
+          on: {
+            click: () => {
+              SoundManager.playClear();
+              deleteHistoryEntry(e.id);
+              renderHistoryList();
+              renderRecent();
+            }
+          }
+        })
+      ]);
+    }));
+  }
+
+  function clearHistoryRange() {
+    const range = els.clearRange.value;
+    const since = range === "all" ? 0 : Date.now() - Number(range);
+    clearHistorySince(since, els.clearKeepPins.checked);
+    SoundManager.playClear();
+    renderHistoryList();
+    renderRecent();
+  }
+
+  function openHistoryDialog() {
+    renderHistoryFilters();
+    renderHistoryList();
+    openModal(els.historyDialog);
+  }
+
+  // ---------------------------
+  // Categories / Languages / Trending
+  // ---------------------------
+  const CATEGORIES = window.GMPlatforms.CATEGORIES;
+
+  const LANGUAGES = [
+    "Any",
+    "Hindi",
+    "Tamil",
+    "Telugu",
+    "Malayalam",
+    "Kannada",
+    "Bengali",
+    "Marathi"
+  ];
+
+  const TRENDING_INDIA = window.GMSuggest.TRENDING_INDIA;
+
+  function loadCategory() {
+    const saved = localStorage.getItem(STORAGE_KEYS.category) || "all";
+    return CATEGORIES.some(c => c.id === saved) ? saved : "all";
+  }
+
+  const isLanguageList = v => Array.isArray(v) && v.every(l => l !== "Any" && LANGUAGES.includes(l));
+
+  // Empty list means "Any". Falls back to the old single-language key once.
+  function loadLanguages() {
+    const saved = safeGetJSON(STORAGE_KEYS.languages, null);
+    if (Array.isArray(saved)) return [...new Set(saved)].filter(l => l !== "Any" && LANGUAGES.includes(l));
+    const legacy = localStorage.getItem(STORAGE_KEYS.language);
+    return legacy && legacy !== "Any" && LANGUAGES.includes(legacy) ? [legacy] : [];
+  }
+
+  function saveLanguages(langs) {
+    if (sharedView) return;
+    safeSetJSON(STORAGE_KEYS.languages, langs);
+    localStorage.removeItem(STORAGE_KEYS.language);
+  }
+
+  function loadRecency() {
+    const saved = localStorage.getItem(STORAGE_KEYS.recency) || "any";
+    return RECENCY.some(r => r.id === saved) ? saved : "any";
+  }
+
+  function loadAdvanced() {
+    return localStorage.getItem(STORAGE_KEYS.advanced) === "true";
+  }
+
+  let activeCategory = loadCategory();
+  let activeLanguages = loadLanguages();
+  let activeRecency = loadRecency();
+  let advancedMode = loadAdvanced();
+
+  // ---------------------------
+  // 60+ Platforms (catalog in platforms.js)
+  // ---------------------------
+  const Catalog = window.GMPlatforms;
+
+  /**
+   * Platform shape (built from a catalog entry, or from a custom platform):
+   * { id, name, category, hint, icon, aliases, syntax?, recency?, makeUrl(query, opts), app }
+   * app: null, or { android, makeUrl(query, opts) } for the site's own link its app opens.
+   * syntax: "full" when the engine understands "quoted phrases" and -exclusions,
+   * otherwise the query is cleaned up first (see formatQuery).
+   * recency: true when makeUrl honours opts.recency (see RECENCY_PARAMS).
+   * opts.languages adds engine locale params where supported (see LOCALE_PARAMS).
+   */
+  function catalogPlatform(entry) {
+    const engine = entry.site ? "google" : entry.engine;
+    const makeUrl = (q, o) => Catalog.searchUrl(entry, q) + recencyParam(engine, o) + localeParam(engine, o);
+    return {
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      hint: entry.hint || "via Google site search",
+      icon: entry.icon,
+      aliases: entry.aliases || [],
+      syntax: entry.site ? "full" : entry.syntax,
+      recency: !!RECENCY_PARAMS[engine],
+      makeUrl,
+      app: entry.app ? {
+        android: entry.app.android || null,
+        makeUrl: entry.app.url ? q => Catalog.appSearchUrl(entry, q) : makeUrl
+      } : null
+    };
+  }
+
+  // Retired platforms stay in the catalog only so old saved ids can be migrated.
+  const PLATFORMS = Catalog.PLATFORMS.filter(entry => !entry.deprecated).map(catalogPlatform);
+
+  // Saved ids from older versions: renamed ids map to the new one, retired platforms to
+  // their replacement. Custom platform ids pass through. null when nothing is left.
+  function currentPlatformId(id) {
+    if (PLATFORMS.some(p => p.id === id)) return id;
+    const resolved = Catalog.resolveId(id);
+    return resolved && PLATFORMS.some(p => p.id === resolved) ? resolved : null;
+  }
+
+  function migratePlatformIds(ids) {
+    return [...new Set(ids.map(currentPlatformId).filter(Boolean))];
+  }
+
+  // ---------------------------
+  // Custom platforms (user-defined, stored locally)
+  // ---------------------------
+  /**
+   * Stored shape:
+   * { id, name, category, icon, template }
+   * template is either a URL containing {q} or a plain domain (Google site search).
+   */
+  const CUSTOM_ID_PREFIX = "custom_";
+  const DOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+(\/[^\s{}]*)?$/i;
+
+  function isUrlTemplate(template) {
+    return template.includes("{q}");
+  }
+
+  function normalizeTemplate(raw) {
+    const t = (raw || "").trim();
+    if (isUrlTemplate(t)) return t;
+    // Plain domains: drop scheme, "www." and trailing slash so site: search stays clean.
+    return t.replace(/^https?:\/\//i, "").replace(/^www\./i, "").replace(/\/+$/, "");
+  }
+
+  function customPlatformError(def) {
+    if (!def.name) return "Give the platform a name.";
+    if (!CATEGORIES.some(c => c.id === def.category)) return "Pick a category.";
+    if (!def.template) return "Add a URL template or a domain.";
+    if (isUrlTemplate(def.template)) {
+      if (!/^https?:\/\/[^\s]+$/i.test(def.template)) return "URL templates must start with http:// or https://.";
+    } else if (!DOMAIN_RE.test(def.template)) {
+      return "Use a URL with {q} (e.g. https://example.com/search?q={q}) or a domain like example.com.";
+    }
+    return "";
+  }
+
+  function customToPlatform(def) {
+    const template = def.template;
+    return {
+      id: def.id,
+      name: def.name,
+      category: def.category,
+      hint: isUrlTemplate(template) ? "Custom search" : "Custom • via Google site search",
+      icon: def.icon || def.name.slice(0, 2),
+      aliases: [],
+      app: null,
+      custom: true,
+      syntax: isUrlTemplate(template) ? "plain" : "full",
+      recency: !isUrlTemplate(template),
+      makeUrl: isUrlTemplate(template)
+        ? q => template.split("{q}").join(encode(q))
+        : (q, o) => googleSiteSearch(template, q, o)
+    };
+  }
+
+  function getCustomDefs() {
+    const arr = safeGetJSON(STORAGE_KEYS.custom, []);
+    if (!Array.isArray(arr)) return [];
+    return arr.filter(d =>
+      d && typeof d.id === "string" && d.id.startsWith(CUSTOM_ID_PREFIX) && !customPlatformError(d)
+    );
+  }
+
+  function saveCustomDefs(defs) {
+    safeSetJSON(STORAGE_KEYS.custom, defs);
+  }
+
+  // Keep PLATFORMS in sync with storage: drop old custom entries, append current ones.
+  function syncCustomPlatforms() {
+    for (let i = PLATFORMS.length - 1; i >= 0; i--) {
+      if (PLATFORMS[i].custom) PLATFORMS.splice(i, 1);
+    }
+    getCustomDefs().forEach(d => PLATFORMS.push(customToPlatform(d)));
+  }
+
+  syncCustomPlatforms();
+
+  // ---------------------------
+  // Platform enable/selection logic
+  // ---------------------------
+  function enabledPlatforms() {
+    if (activeCategory === "all") return PLATFORMS;
+    return PLATFORMS.filter(p => p.category === activeCategory);
+  }
+
+  function loadSelectedSet() {
+    const saved = safeGetJSON(STORAGE_KEYS.selected, []);
+    // Old ids (site_3_..., retired platforms) become today's; anything else is dropped.
+    return new Set(isStringArray(saved) ? migratePlatformIds(saved) : []);
+  }
+
+  let selectedSet = loadSelectedSet();
+
+  function saveSelectedSet() {
+    if (sharedView) return;
+    safeSetJSON(STORAGE_KEYS.selected, [...selectedSet]);
+  }
+
+  function selectAllEnabled() {
+    enabledPlatforms().forEach(p => selectedSet.add(p.id));
+    saveSelectedSet();
+    renderPlatformGrid();
+  }
+
+  function selectNoneEnabled() {
+    enabledPlatforms().forEach(p => selectedSet.delete(p.id));
+    saveSelectedSet();
+    renderPlatformGrid();
+  }
+
+  function ensureSelectionDefaults() {
+    // If nothing selected in current category, default-select all enabled for convenience.
+    const enabled = enabledPlatforms();
+    const hasAny = enabled.some(p => selectedSet.has(p.id));
+    if (!hasAny) {
+      enabled.forEach(p => selectedSet.add(p.id));
+      saveSelectedSet();
+    }
+  }
+
+  // ---------------------------
+  // Presets (named workspaces)
+  // ---------------------------
+  /**
+   * Preset shape:
+   * { id, name, selected: string[], category, languages: string[] }
+   * Older presets carry a single `language` string instead of `languages`.
+   */
+  function isValidPreset(p) {
+    return p && typeof p.id === "string" && typeof p.name === "string" && p.name.trim() &&
+      isStringArray(p.selected) && typeof p.category === "string" &&
+      (isStringArray(p.languages) || typeof p.language === "string");
+  }
+
+  function presetLanguages(p) {
+    if (Array.isArray(p.languages)) return p.languages.filter(l => l !== "Any" && LANGUAGES.includes(l));
+    return p.language && p.language !== "Any" && LANGUAGES.includes(p.language) ? [p.language] : [];
+  }
+
+  function getPresets() {
+    const arr = safeGetJSON(STORAGE_KEYS.presets, []);
+    return Array.isArray(arr) ? arr.filter(isValidPreset) : [];
+  }
+
+  function savePresets(presets) {
+    safeSetJSON(STORAGE_KEYS.presets, presets);
+  }
+
+  function getActivePresetId() {
+    const id = localStorage.getItem(STORAGE_KEYS.activePreset) || "";
+    return getPresets().some(p => p.id === id) ? id : "";
+  }
+
+  function setActivePresetId(id) {
+    if (id) localStorage.setItem(STORAGE_KEYS.activePreset, id);
+    else localStorage.removeItem(STORAGE_KEYS.activePreset);
+  }
+
+  function snapshotPreset(id, name) {
+    return { id, name, selected: [...selectedSet], category: activeCategory, languages: [...activeLanguages] };
+  }
+
+  function saveCurrentAsPreset(name) {
+    const id = `preset_${Date.now().toString(36)}`;
+    savePresets([...getPresets(), snapshotPreset(id, name)]);
+    setActivePresetId(id);
+    return id;
+  }
+
+  function updatePresetFromCurrent(id) {
+    savePresets(getPresets().map(p => (p.id === id ? snapshotPreset(p.id, p.name) : p)));
+  }
+
+  function renamePreset(id, name) {
+    savePresets(getPresets().map(p => (p.id === id ? { ...p, name } : p)));
+  }
+
+  function deletePreset(id) {
+    savePresets(getPresets().filter(p => p.id !== id));
+    if (getActivePresetId() === id) setActivePresetId("");
+  }
+
+  function switchPreset(id) {
+    const preset = getPresets().find(p => p.id === id);
+    if (!preset) return;
+    leaveSharedView();
+
+    // Same checks as on load: migrate or drop unknown ids, fall back on unknown category/language.
+    selectedSet = new Set(migratePlatformIds(preset.selected));
+    saveSelectedSet();
+    localStorage.setItem(STORAGE_KEYS.category, preset.category);
+    saveLanguages(presetLanguages(preset));
+    activeCategory = loadCategory();
+    activeLanguages = loadLanguages();
+    setActivePresetId(id);
+
+    renderAllUI();
+    renderPresetPicker();
+    runSearch(false);
+  }
+
+  function renderPresetPicker() {
+    const presets = getPresets();
+    const activeId = getActivePresetId();
+    els.presetPicker.hidden = presets.length === 0;
+    els.presetPicker.replaceChildren(
+      el("option", { value: "", text: "Preset…" }),
+      ...presets.map(p => el("option", { value: p.id, text: p.name }))
+    );
+    els.presetPicker.value = activeId;
+  }
+
+  function renderPresetList() {
+    const presets = getPresets();
+    const activeId = getActivePresetId();
+    if (presets.length === 0) {
+      els.presetList.replaceChildren(
+        el("div", { className: "muted", text: "No presets yet. Set up platforms, category and language, then save them here." })
+      );
+      return;
+    }
+
+    els.presetList.replaceChildren(...presets.map(p => {
+      const langs = presetLanguages(p);
+      const name = el("input", {
+        className: "input",
+        value: p.name,
+        maxLength: 40,
+        attrs: { "aria-label": `Rename preset ${p.name}` },
+        on: {
+          change: () => {
+            const next = name.value.trim();
+            if (!next) {
+              name.value = p.name;
+              return;
+            }
+            renamePreset(p.id, next);
+            renderPresetPicker();
+          }
+        }
+      });
+
+      return el("div", { className: "customItem" + (p.id === activeId ? " active" : "") }, [
+        name,
+        el("span", { className: "muted", text: `${p.selected.length} • ${p.category} • ${langs.length ? langs.join(", ") : "Any"}` }),
+        el("button", {
+          type: "button",
+          className: "chip" + (p.id === activeId ? " active" : ""),
+          text: "Use",
+          on: {
+            click: () => {
+              SoundManager.playClick();
+              switchPreset(p.id);
+              renderPresetList();
+            }
+          }
+        }),
+        el("button", {
+          type: "button",
+          className: "chip",
+          text: "Update",
+          title: "Overwrite with the current selection, category and language",
+          on: {
+            click: () => {
+              SoundManager.playClick();
+              updatePresetFromCurrent(p.id);
+              renderPresetList();
+            }
+          }
+        }),
+        el("button", {
+          type: "button",
+          className: "chip danger",
+          text: "Delete",
+          on: {
+            click: () => {
+              SoundManager.playClear();
+              deletePreset(p.id);
+              renderPresetList();
+              renderPresetPicker();
+            }
+          }
+        })
+      ]);
+    }));
+  }
+
+  function submitPreset(e) {
+    e.preventDefault();
+    const name = els.presetName.value.trim();
+    if (!name) {
+      els.presetError.textContent = "Give the preset a name.";
+      return;
+    }
+    if (getPresets().some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      els.presetError.textContent = "A preset with that name already exists.";
+      return;
+    }
+    saveCurrentAsPreset(name);
+    els.presetForm.reset();
+    els.presetError.textContent = "";
+    SoundManager.playSuccess();
+    renderPresetList();
+    renderPresetPicker();
+  }
+
+  function openPresetDialog() {
+    els.presetForm.reset();
+    els.presetError.textContent = "";
+    renderPresetList();
+    openModal(els.presetDialog);
+  }
+
+  // ---------------------------
+  // Rendering
+  // ---------------------------
+  function chipButton(label, active, onClick) {
+    return el("button", {
+      type: "button",
+      className: "chip" + (active ? " active" : ""),
+      text: label,
+      on: { click: () => { SoundManager.playClick(); onClick(); } }
+    });
+  }
+
+  function setCategory(id) {
+    activeCategory = id;
+    saveSetting(STORAGE_KEYS.category, activeCategory);
+    ensureSelectionDefaults();
+    renderAllUI();
+    // keep results aligned with current query
+    runSearch(false);
+  }
+
+  // "Any" clears the list; other languages toggle so several can be active.
+  function toggleLanguage(l) {
+    if (l === "Any") activeLanguages = [];
+    else if (activeLanguages.includes(l)) activeLanguages = activeLanguages.filter(x => x !== l);
+    else activeLanguages = [...activeLanguages, l];
+    saveLanguages(activeLanguages);
+    renderLanguages();
+    runSearch(false);
+  }
+
+  function setRecency(id) {
+    activeRecency = id;
+    saveSetting(STORAGE_KEYS.recency, activeRecency);
+    renderRecency();
+    runSearch(false);
+  }
+
+  function renderCategories() {
+    els.categoryChips.replaceChildren();
+    CATEGORIES.forEach(c => {
+      els.categoryChips.appendChild(chipButton(c.label, c.id === activeCategory, () => setCategory(c.id)));
+    });
+  }
+
+  function renderLanguages() {
+    els.languageChips.replaceChildren();
+    LANGUAGES.forEach(l => {
+      const active = l === "Any" ? activeLanguages.length === 0 : activeLanguages.includes(l);
+      els.languageChips.appendChild(chipButton(languageLabel(l), active, () => toggleLanguage(l)));
+    });
+  }
+
+  const languageLabel = l => (LANGUAGE_INFO[l] ? `${l} · ${LANGUAGE_INFO[l].native}` : l);
+
+  function renderRecency() {
+    els.recencyChips.replaceChildren();
+    RECENCY.forEach(r => {
+      els.recencyChips.appendChild(chipButton(r.label, r.id === activeRecency, () => setRecency(r.id)));
+    });
+  }
+
+  function renderTrending() {
+    els.trendingChips.replaceChildren();
+    TRENDING_INDIA.forEach(t => {
+      els.trendingChips.appendChild(
+        chipButton(t.label, false, () => {
+          els.query.value = t.q;
+          runSearch(true);
+        })
+      );
+    });
+  }
+
+  function togglePlatform(id) {
+    if (selectedSet.has(id)) {
+      selectedSet.delete(id);
+      SoundManager.playToggleOff();
+    } else {
+      selectedSet.add(id);
+      SoundManager.playToggleOn();
+    }
+    saveSelectedSet();
+    renderPlatformGrid();
+    updateSelectionInfo();
+    runSearch(false);
+  }
+
+  function renderPlatformGrid() {
+    const list = enabledPlatforms();
+    // Re-rendering replaces the cards; keep keyboard focus on the same platform.
+    const focused = els.platformGrid.contains(document.activeElement) ? document.activeElement.dataset.id : null;
+    els.platformCount.textContent = `${list.length} enabled`;
+
+    // Each card is a <label> around its checkbox: one control per platform for assistive tech,
+    // and clicking anywhere on the card toggles it natively.
+    els.platformGrid.replaceChildren(...list.map(p => {
+      const nameId = `pf_${p.id}_name`;
+      const hintId = `pf_${p.id}_hint`;
+      return el("label", { className: "platformCard" + (selectedSet.has(p.id) ? " selected" : "") }, [
+        el("div", { className: "pIcon", attrs: { "aria-hidden": "true" }, text: (p.icon || p.name.slice(0, 2)).toUpperCase() }),
+        el("div", { className: "pMeta" }, [
+          el("div", { className: "pName", id: nameId, text: p.name }),
+          el("div", { className: "pCat", id: hintId, text: (p.hint || p.category) + (filtersExplicit(p) ? "" : " • no SafeSearch") })
+        ]),
+        el("input", {
+          className: "pToggle",
+          type: "checkbox",
+          checked: selectedSet.has(p.id),
+          attrs: { "aria-labelledby": nameId, "aria-describedby": hintId },
+          dataset: { id: p.id },
+          on: { change: () => togglePlatform(p.id) }
+        })
+      ]);
+    }));
+
+    if (focused) {
+      const again = [...els.platformGrid.querySelectorAll(".pToggle")].find(t => t.dataset.id === focused);
+      if (again) again.focus();
+    }
+
+    updateSelectionInfo();
+  }
+
+  function updateSelectionInfo() {
+    const enabled = enabledPlatforms();
+    const selectedEnabled = enabled.filter(p => selectedSet.has(p.id));
+    const allowed = selectedEnabled.filter(platformAllowed).length;
+    const pace = advancedMode ? "all in one click" : `${TAB_LIMIT_DEFAULT} per click`;
+    els.selectionInfo.textContent = `${selectedEnabled.length} selected • Open will launch ${allowed}, ${pace}`;
+    els.openSelectedBtn.textContent = `Open Selected (${advancedMode ? "All" : `${TAB_LIMIT_DEFAULT} at a time`})`;
+    if (sharedView) renderSharedBanner();
+  }
+
+  // ---------------------------
+  // Custom platform editor
+  // ---------------------------
+  function renderCustomCategoryOptions() {
+    els.pfCategory.replaceChildren(...CATEGORIES.map(c => el("option", { value: c.id, text: c.label })));
+  }
+
+  function resetPlatformForm() {
+    els.platformForm.reset();
+    els.pfId.value = "";
+    els.pfCategory.value = activeCategory;
+    els.pfError.textContent = "";
+    els.pfSave.textContent = "Add platform";
+  }
+
+  function editCustomPlatform(def) {
+    els.pfId.value = def.id;
+    els.pfName.value = def.name;
+    els.pfCategory.value = def.category;
+    els.pfIcon.value = def.icon || "";
+    els.pfTemplate.value = def.template;
+    els.pfError.textContent = "";
+    els.pfSave.textContent = "Save changes";
+    els.pfName.focus();
+  }
+
+  function removeCustomPlatform(id) {
+    saveCustomDefs(getCustomDefs().filter(d => d.id !== id));
+    selectedSet.delete(id);
+    saveSelectedSet();
+    syncCustomPlatforms();
+    if (els.pfId.value === id) resetPlatformForm();
+    SoundManager.playClear();
+    renderCustomList();
+    renderPlatformGrid();
+    runSearch(false);
+  }
+
+  function submitCustomPlatform(e) {
+    e.preventDefault();
+    const def = {
+      id: els.pfId.value,
+      name: els.pfName.value.trim(),
+      category: els.pfCategory.value,
+      icon: els.pfIcon.value.trim().slice(0, 3),
+      template: normalizeTemplate(els.pfTemplate.value)
+    };
+
+    const error = customPlatformError(def);
+    if (error) {
+      els.pfError.textContent = error;
+      return;
+    }
+
+    const defs = getCustomDefs();
+    if (def.id) {
+      const idx = defs.findIndex(d => d.id === def.id);
+      if (idx >= 0) defs[idx] = def;
+    } else {
+      const slug = def.name.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+      def.id = `${CUSTOM_ID_PREFIX}${slug}_${Date.now().toString(36)}`;
+      defs.push(def);
+      // New platforms start selected so they show up in results right away.
+      selectedSet.add(def.id);
+      saveSelectedSet();
+    }
+
+    saveCustomDefs(defs);
+    syncCustomPlatforms();
+    SoundManager.playSuccess();
+    resetPlatformForm();
+    renderCustomList();
+    renderPlatformGrid();
+    runSearch(false);
+  }
+
+  function renderCustomList() {
+    const defs = getCustomDefs();
+    if (defs.length === 0) {
+      els.customList.replaceChildren(el("div", { className: "muted", text: "No custom platforms yet." }));
+      return;
+    }
+
+    els.customList.replaceChildren(...defs.map(def => el("div", { className: "customItem" }, [
+      el("div", { className: "pMeta" }, [
+        el("div", { className: "pName", text: def.name }),
+        el("div", { className: "pCat", text: def.template })
+      ]),
+      el("button", { type: "button", className: "chip", text: "Edit", on: { click: () => editCustomPlatform(def) } }),
+      el("button", { type: "button", className: "chip danger", text: "Remove", on: { click: () => removeCustomPlatform(def.id) } })
+    ])));
+  }
+
+  function openPlatformEditor() {
+    resetPlatformForm();
+    renderCustomList();
+    openModal(els.platformEditor);
+  }
+
+  // ---------------------------
+  // Personal ranking (learned from what you open)
+  // ---------------------------
+  /**
+   * Click log entry: { tokens: string[], id, t, src: "card" | "open" }
+   * Kept locally, capped in size and faded with a half-life so old habits fade.
+   */
+  const CLICK_LOG_LIMIT = 400;
+  const CLICK_HALF_LIFE_DAYS = 30;
+  const CLICK_MAX_AGE_DAYS = 180;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Bulk "Open Selected" says less about preference than picking one card.
+  const CLICK_SOURCE_WEIGHT = { card: 1, open: 0.3 };
+  // Affinity at which the personal boost reaches its full weight.
+  const PERSONAL_SATURATION = 3;
+
+  function loadLearning() {
+    return localStorage.getItem(STORAGE_KEYS.learning) !== "false";
+  }
+
+  let learningEnabled = loadLearning();
+
+  function getClickLog() {
+    const arr = safeGetJSON(STORAGE_KEYS.clicks, []);
+    if (!Array.isArray(arr)) return [];
+    const oldest = Date.now() - CLICK_MAX_AGE_DAYS * DAY_MS;
+    return arr.filter(e =>
+      e && isStringArray(e.tokens) && typeof e.id === "string" && typeof e.t === "number" && e.t >= oldest
+    );
+  }
+
+  function saveClickLog(log) {
+    safeSetJSON(STORAGE_KEYS.clicks, log.slice(-CLICK_LOG_LIMIT));
+    affinityCache = null;
+  }
+
+  function recordOpens(query, platformIds, src) {
+    if (!learningEnabled || !platformIds.length) return;
+    const tokens = window.GMRanking.tokenize(query);
+    if (!tokens.length) return;
+    const t = Date.now();
+    saveClickLog([...getClickLog(), ...platformIds.map(id => ({ tokens, id, t, src }))]);
+  }
+
+  function decay(t) {
+    return Math.pow(0.5, (Date.now() - t) / (CLICK_HALF_LIFE_DAYS * DAY_MS));
+  }
+
+  // platform id → decayed, query-similarity-weighted open count. Cached per query.
+  let affinityCache = null;
+
+  function clickAffinities(tokens) {
+    const key = tokens.join(" ");
+    if (affinityCache && affinityCache.key === key) return affinityCache.map;
+
+    const map = new Map();
+    getClickLog().forEach(e => {
+      const overlap = tokens.filter(tok => e.tokens.includes(tok)).length / tokens.length;
+      const id = currentPlatformId(e.id);
+      if (!overlap || !id) return;
+      const w = overlap * decay(e.t) * (CLICK_SOURCE_WEIGHT[e.src] || 1);
+      map.set(id, (map.get(id) || 0) + w);
+    });
+    affinityCache = { key, map };
+    return map;
+  }
+
+  // Ranking rule (see ranking.js): boost platforms you keep opening for similar queries.
+  function personalRule(ctx) {
+    if (!learningEnabled) return null;
+    const affinity = clickAffinities(ctx.tokens).get(ctx.platform.id) || 0;
+    const points = Math.round(Math.min(1, affinity / PERSONAL_SATURATION) * ctx.weights.personal);
+    if (!points) return null;
+    return { rule: "personal", points, detail: "You often open this for similar searches" };
+  }
+
+  function resetLearning() {
+    localStorage.removeItem(STORAGE_KEYS.clicks);
+    affinityCache = null;
+  }
+
+  function setLearning(enabled) {
+    learningEnabled = enabled;
+    localStorage.setItem(STORAGE_KEYS.learning, String(enabled));
+    affinityCache = null;
+  }
+
+  function renderLearning() {
+    const log = getClickLog();
+    els.learningToggle.checked = learningEnabled;
+    els.learningStats.textContent = learningEnabled
+      ? `${log.length} opens remembered (max ${CLICK_LOG_LIMIT}, fading over ~${CLICK_HALF_LIFE_DAYS} days).`
+      : "Learning is off. Nothing new is recorded and rankings ignore past opens.";
+
+    // Group by query + platform and show the strongest habits first.
+    const groups = new Map();
+    log.forEach(e => {
+      const key = `${e.tokens.join(" ")}\u0000${e.id}`;
+      const g = groups.get(key) || { query: e.tokens.join(" "), id: e.id, count: 0, weight: 0, last: 0 };
+      g.count += 1;
+      g.weight += decay(e.t) * (CLICK_SOURCE_WEIGHT[e.src] || 1);
+      g.last = Math.max(g.last, e.t);
+      groups.set(key, g);
+    });
+
+    const top = [...groups.values()].sort((a, b) => b.weight - a.weight).slice(0, 20);
+    els.learningList.replaceChildren(...top.map(g => {
+      const platform = PLATFORMS.find(p => p.id === g.id);
+      const days = Math.floor((Date.now() - g.last) / DAY_MS);
+      return el("li", { text: `“${g.query}” → ${platform ? platform.name : g.id} • ${g.count} open(s), last ${days === 0 ? "today" : `${days}d ago`}` });
+    }));
+    els.resetLearningBtn.disabled = log.length === 0;
+  }
+
+  function openSettings() {
+    safetyUnlocked = false;
+    els.pinError.textContent = "";
+    renderSafety();
+    renderAppSettings();
+    renderPreviewSettings();
+    renderLearning();
+    renderSoundSettings();
+    openModal(els.settingsDialog);
+  }
+
+  // Scoring lives in ranking.js; the app adds its personal rule and decides what to show.
+  const ranker = window.GMRanking.createRanker({
+    weights: { personal: 60 },
+    rules: [...window.GMRanking.DEFAULT_RULES, personalRule]
+  });
+
+  // ---------------------------
+  // Search context (parsed query + per-search overrides)
+  // ---------------------------
+  const normalizeName = name => name.toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+  // Resolve on:youtube,reddit against ids first, then platform names.
+  function resolvePlatformNames(names) {
+    const found = new Set();
+    names.forEach(raw => {
+      const key = normalizeName(raw);
+      if (!key) return;
+      const exact = PLATFORMS.filter(p => p.id === raw || p.aliases.includes(raw.toLowerCase()) || normalizeName(p.name) === key);
+      const loose = key.length >= 3 ? PLATFORMS.filter(p => normalizeName(p.name).includes(key)) : [];
+      (exact.length ? exact : loose).forEach(p => found.add(p));
+    });
+    return [...found];
+  }
+
+  // The settings a search is built with; saved alongside queued searches.
+  function currentSettings() {
+    return { category: activeCategory, languages: activeLanguages, recency: activeRecency, scriptMode: scriptModeFor(qs()) };
+  }
+
+  function buildSearch(raw, settings = currentSettings()) {
+    const parsed = parseQuery(raw);
+    const languages = parsed.langs.length ? parsed.langs : settings.languages;
+    return {
+      raw,
+      parsed,
+      settings,
+      // Per-platform text is built from `scripted`; ranking and display use the typed text.
+      scripted: withScripts(parsed, scriptsFor(languages), settings.scriptMode),
+      text: formatQuery(parsed, "plain"),
+      languages,
+      category: parsed.cat || settings.category,
+      recency: settings.recency,
+      only: parsed.on.length ? resolvePlatformNames(parsed.on) : null
+    };
+  }
+
+  // on: picks platforms directly; otherwise the usual category + selection rules apply.
+  function candidatePlatforms(search) {
+    if (search.only) return search.only;
+    const pool = search.category === "all" ? PLATFORMS : PLATFORMS.filter(p => p.category === search.category);
+    return pool.filter(p => selectedSet.has(p.id));
+  }
+
+  // Strict mode drops platforms that can't filter, even ones picked with on:.
+  function searchPlatforms(search) {
+    return candidatePlatforms(search).filter(platformAllowed);
+  }
+
+  function platformText(platform, search) {
+    return withLanguages(formatQuery(search.scripted, platform.syntax), search.languages, platform.syntax);
+  }
+
+  function platformUrl(platform, search) {
+    const opts = { recency: search.recency, languages: search.languages };
+    return withSafeSearch(platform.makeUrl(platformText(platform, search), opts));
+  }
+
+  // What a result opens: its app link when apps are preferred and there is one, else the web search.
+  // Strict mode stays on the web, where SafeSearch applies.
+  function openUrl(platform, search) {
+    const app = preferApps && safety.mode !== "strict" ? appUrl(platform, search) : null;
+    return app || platformUrl(platform, search);
+  }
+
+  function describeOverrides(search) {
+    const notes = [];
+    if (search.parsed.langs.length) notes.push(`lang: ${search.parsed.langs.join(", ")}`);
+    if (search.parsed.cat) notes.push(`cat: ${search.parsed.cat}`);
+    if (search.only) notes.push(`on: ${search.only.map(p => p.name).join(", ") || "no matching platforms"}`);
+    return notes.join(" • ");
+  }
+
+  /** Rank the platforms a search uses and drop the unrelated ones; shared by result cards and batch runs. */
+  function rankResults(search) {
+    // Logic:
+    // 1. Filter: Standard enable/disable set by user (SelectedSet).
+    // 2. Rank: Sort selected items by Relevance Score.
+    // 3. Filter Low Quality: If user wants "Highly relevant only", we could hide score=0?
+    //    Decision: We will SORT. Top results are highly relevant. We don't hide selected items because the user consciously selected them.
+
+    // Score + explain (see ranking.js)
+    let ranked = ranker.rank(searchPlatforms(search), search.text);
+
+    // Filter: Exclude unrelated websites (score <= 0)
+    // "Exclude unrelated, adult, spam, misleading, or low-quality websites."
+    const hasAnyRelevance = ranked.some(r => r.score > 0);
+    if (search.only) {
+      // Platforms picked with on: are always shown.
+    } else if (hasAnyRelevance) {
+      ranked = ranked.filter(r => r.score > 0);
+    } else {
+      // Fallback: If nothing matched significantly, show only "All" category items (Google, etc.)
+      ranked = ranked.filter(r => r.platform.category === "all");
+    }
+
+    return ranked;
+  }
+
+  // Top results get a "Trusted & Verified" badge when they're strongly relevant.
+  const isHighRelevance = ranked => !!ranked[0] && ranked[0].score >= 50;
+
+  function renderResultsCards(search) {
+    const query = search.text;
+    els.results.replaceChildren();
+    lastSearch = search;
+
+    if (!query) {
+      els.resultsHint.textContent = "Type a keyword and press Search to generate links.";
+      return;
+    }
+
+    const selected = searchPlatforms(search);
+    const ranked = rankResults(search);
+    const hasHighRelevance = isHighRelevance(ranked);
+
+    const overrides = describeOverrides(search);
+    const hidden = candidatePlatforms(search).length - selected.length;
+    els.resultsHint.replaceChildren(...[
+      el("span", {}, [`found ${ranked.length} highly relevant results for “`, el("b", { text: query }), "”"]),
+      overrides ? el("span", { text: ` (${overrides})` }) : null,
+      hidden ? el("span", { text: ` • ${hidden} hidden by strict mode` }) : null,
+      hasHighRelevance ? el("span", { className: "badge", text: "Trusted & Verified" }) : null
+    ].filter(Boolean));
+    announce(`${ranked.length} results for ${query}`);
+
+    const visited = openedIds(search.raw);
+    els.results.replaceChildren(...ranked.map((item, index) => {
+      const p = item.platform;
+      const score = item.score;
+
+      // Left and middle clicks both count as opening the result.
+      const opened = () => {
+        recordOpens(query, [p.id], "card");
+        markOpened(search.raw, [p.id]);
+      };
+
+      const notes = [];
+      if (search.recency !== "any" && !p.recency) notes.push(" • no date filter");
+      const href = openUrl(p, search);
+      const inApp = href !== platformUrl(p, search);
+      // Apps never get SafeSearch, even for platforms searched through Google on the web.
+      if (inApp || !filtersExplicit(p)) notes.push(" • no SafeSearch");
+      if (inApp) notes.push(" • opens in app");
+      if (isOffline) notes.push(isQueued(search, p.id) ? " • queued" : " • offline, tap to queue");
+
+      const a = el("a", {
+        // Staggered entry; a subtle highlight when the top results are strongly relevant.
+        className: "linkCard anim-enter" + (isOffline ? " queued" : "") + (hasHighRelevance && score > 40 ? " relevant" : "") +
+          (visited.has(p.id) ? " visited" : ""),
+        dataset: { id: p.id },
+        target: "_blank",
+        rel: "noopener noreferrer",
+        href,
+        // Why this platform ranked where it did (hover / long-press).
+        title: `Score ${score}\n${window.GMRanking.explain(item.reasons)}`.trim(),
+        on: {
+          click: (e) => {
+            if (isOffline) {
+              // The link can't load yet; keep it for when the connection is back.
+              e.preventDefault();
+              queueSearch(search, [p.id]);
+              return;
+            }
+            opened();
+          },
+          auxclick: (e) => {
+            if (e.button === 1 && !isOffline) opened();
+          }
+        }
+      }, [
+        el("div", { className: "linkMeta" }, [
+          el("div", { className: "linkName", text: p.name }),
+          el("div", { className: "linkDesc" }, [
+            p.hint || "Search",
+            ...notes.map(text => el("span", { className: "linkNote", text })),
+            el("span", { className: "visitedNote", text: " • opened" })
+          ])
+        ]),
+        el("div", { className: "pill", text: (p.category || "all").toUpperCase() })
+      ]);
+      a.style.animationDelay = (0.05 * Math.min(index, 20)) + 's';
+      return a;
+    }));
+  }
+
+  function refreshVisited() {
+    if (!lastSearch) return;
+    const visited = openedIds(lastSearch.raw);
+    resultCards().forEach(card => card.classList.toggle("visited", visited.has(card.dataset.id)));
+  }
+
+  // The pending delayed render, so a newer search (or a blocked one) replaces it.
+  let searchTimer = null;
+
+  function runSearch(saveRecentFlag = true) {
+    const raw = qs();
+    renderScriptChips();
+    window.clearTimeout(searchTimer);
+    if (!raw) {
+      els.results.replaceChildren();
+      els.resultsHint.textContent = "";
+      lastSearch = null;
+      loadPreviews(null);
+      return;
+    }
+
+    if (blockedTerm(raw)) {
+      showBlocked();
+      return;
+    }
+
+    const search = buildSearch(raw);
+    if (saveRecentFlag) addHistory(search);
+
+    // Small loading micro-interaction (doesn't open tabs, so safe to delay).
+    showLoading(true);
+    searchTimer = window.setTimeout(() => {
+      showLoading(false);
+      SoundManager.playSuccess();
+      renderResultsCards(search);
+      loadPreviews(search);
+    }, 500); // Increased delay slightly to feel more "processing" based on user expectation
+  }
+
+  // A query with a blocked word gets no links, no history entry and no tabs.
+  function showBlocked() {
+    window.clearTimeout(searchTimer);
+    showLoading(false);
+    els.results.replaceChildren();
+    lastSearch = null;
+    loadPreviews(null);
+    els.resultsHint.textContent = "This search contains a word blocked in Settings → Safety.";
+    announce("Search blocked by safety settings");
+    SoundManager.playToggleOff();
+  }
+
+  function openSelected() {
+    const raw = qs();
+    if (!raw) return;
+    if (blockedTerm(raw)) {
+      showBlocked();
+      return;
+    }
+
+    const search = buildSearch(raw);
+    const selected = searchPlatforms(search);
+
+    if (isOffline) {
+      const toQueue = selected.slice(0, advancedMode ? selected.length : TAB_LIMIT_DEFAULT);
+      queueSearch(search, toQueue.map(p => p.id));
+      els.resultsHint.textContent = `Offline: saved to the queue. ${toQueue.length} tab(s) will be ready to open when you're back online.`;
+      return;
+    }
+
+    startLaunch(search, selected);
+  }
+
+  /**
+   * Open a result in a new tab; false when the browser blocked the pop-up.
+   * window.open returns null for every "noopener" tab, blocked or not, so the opener is cut
+   * by hand instead and the page's no-referrer policy (index.html) stands in for "noreferrer".
+   */
+  function openTab(url) {
+    const tab = window.open(url, "_blank");
+    if (!tab) return false;
+    try {
+      tab.opener = null;
+    } catch {
+      // Already navigated away; it can't reach us either way.
+    }
+    return true;
+  }
+
+  const popupBlockedText = opened =>
+    `Your browser blocked pop-ups after ${opened} tab(s). Allow pop-ups for this site, then try again.`;
+
+  function clearAll() {
+    els.query.value = "";
+    els.scriptRow.hidden = true;
+    els.results.replaceChildren();
+    lastSearch = null;
+    loadPreviews(null);
+    els.resultsHint.textContent = "";
+    SoundManager.playClear();
+    els.query.focus();
+  }
+
+  // ---------------------------
+  // Video previews (real videos from providers.js under the links)
+  // ---------------------------
+  const Providers = window.GMProviders;
+
+  const PREVIEW_LENGTHS = [
+    { id: "any", label: "Any length", test: () => true },
+    { id: "short", label: "Under 4 min", test: d => d !== null && d < 240 },
+    { id: "medium", label: "4–20 min", test: d => d !== null && d >= 240 && d <= 1200 },
+    { id: "long", label: "Over 20 min", test: d => d !== null && d > 1200 }
+  ];
+
+  function loadPreviewsEnabled() {
+    return localStorage.getItem(STORAGE_KEYS.previews) === "true";
+  }
+
+  let previewsEnabled = loadPreviewsEnabled();
+  let preview = null; // { search, providers, items, failed: provider ids, loading } for the shown search
+  let previewAbort = null;
+  let previewSource = "all";
+  let previewLength = "any";
+
+  // Providers whose platform the search uses, so selection, on:, category and strict mode all apply.
+  function previewProviders(search) {
+    const platforms = searchPlatforms(search);
+    return Providers.PROVIDERS.filter(pr => platforms.some(p => p.id === pr.platform));
+  }
+
+  const providerPlatform = pr => PLATFORMS.find(p => p.id === pr.platform);
+
+  /** Fetch previews for `search` (null clears them). A newer call cancels an older one. */
+  async function loadPreviews(search) {
+    if (previewAbort) previewAbort.abort();
+    previewAbort = null;
+    const on = previewsEnabled && safety.mode !== "strict" && !isOffline;
+    const providers = on && search && search.text ? previewProviders(search) : [];
+    preview = providers.length ? { search, providers, items: [], failed: [], loading: true } : null;
+    renderPreviews();
+    if (!preview) return;
+
+    const current = preview;
+    const controller = new AbortController();
+    previewAbort = controller;
+    // Each provider searches for the same text as its platform's link.
+    const results = await Promise.all(providers.map(pr =>
+      Providers.fetchProvider(pr.id, platformText(providerPlatform(pr), search), { signal: controller.signal })));
+    if (preview !== current) return;
+
+    previewAbort = null;
+    current.items = Providers.dedupe(results.flatMap(r => r.items || [])).filter(item => !blockedTerm(item.title));
+    current.failed = results.filter(r => r.error).map(r => r.id);
+    current.loading = false;
+    renderPreviews();
+  }
+
+  function setPreviewFilter(source, length) {
+    previewSource = source;
+    previewLength = length;
+    renderPreviews();
+  }
+
+  function previewOpened(search, platformId) {
+    recordOpens(search.text, [platformId], "card");
+    markOpened(search.raw, [platformId]);
+  }
+
+  function previewItem(item, search) {
+    const provider = Providers.PROVIDERS.find(pr => pr.id === item.provider);
+    const when = item.published ? new Date(item.published).toLocaleDateString([], { dateStyle: "medium" }) : null;
+    const duration = Providers.formatDuration(item.duration);
+    return el("li", { className: "videoItem" }, [
+      el("a", {
+        href: item.url,
+        target: "_blank",
+        rel: "noopener noreferrer",
+        on: { click: () => previewOpened(search, provider.platform) }
+      }, [
+        el("div", { className: "videoThumb" }, [
+          // Thumbnails from hosts outside the CSP (or gone) just leave the placeholder.
+          item.thumbnail ? el("img", { attrs: { src: item.thumbnail, alt: "", loading: "lazy" }, on: { error: e => e.target.remove() } }) : null,
+          duration ? el("span", { className: "videoDuration", text: duration }) : null
+        ]),
+        el("span", { className: "videoTitle", text: item.title }),
+        el("span", { className: "videoMeta", text: [item.channel, provider.name, when].filter(Boolean).join(" • ") })
+      ])
+    ]);
+  }
+
+  function renderPreviews() {
+    els.previewSection.hidden = !preview;
+    if (!preview) return;
+    const { search, providers, items, failed, loading } = preview;
+    const sources = providers.filter(pr => !failed.includes(pr.id));
+    const source = sources.some(pr => pr.id === previewSource) ? previewSource : "all";
+    const length = PREVIEW_LENGTHS.find(l => l.id === previewLength) || PREVIEW_LENGTHS[0];
+
+    els.previewSources.replaceChildren(
+      chipButton("All sources", source === "all", () => setPreviewFilter("all", length.id)),
+      ...sources.map(pr => chipButton(pr.name, source === pr.id, () => setPreviewFilter(pr.id, length.id)))
+    );
+    els.previewLengths.replaceChildren(...PREVIEW_LENGTHS.map(l =>
+      chipButton(l.label, l.id === length.id, () => setPreviewFilter(source, l.id))));
+
+    const shown = items.filter(item => (source === "all" || item.provider === source) && length.test(item.duration));
+    if (loading) els.previewStatus.textContent = "Loading videos…";
+    else if (shown.length === items.length) els.previewStatus.textContent = `${items.length} videos`;
+    else els.previewStatus.textContent = `${shown.length} of ${items.length} videos`;
+    els.previewList.replaceChildren(...shown.map(item => previewItem(item, search)));
+
+    // A provider that failed still gets its platform's usual search link.
+    const down = providers.filter(pr => failed.includes(pr.id));
+    els.previewFallback.replaceChildren(...(down.length ? [
+      el("span", { text: `No previews from ${down.map(pr => pr.name).join(", ")}. Search there instead:` }),
+      ...down.map(pr => el("a", {
+        className: "chip",
+        href: openUrl(providerPlatform(pr), search),
+        target: "_blank",
+        rel: "noopener noreferrer",
+        text: providerPlatform(pr).name,
+        on: { click: () => previewOpened(search, pr.platform) }
+      }))
+    ] : []));
+  }
+
+  function setPreviewsEnabled(enabled) {
+    previewsEnabled = enabled;
+    localStorage.setItem(STORAGE_KEYS.previews, String(enabled));
+    loadPreviews(lastSearch);
+  }
+
+  function renderPreviewSettings() {
+    const names = Providers.PROVIDERS.map(pr => pr.name);
+    els.previewToggle.checked = previewsEnabled;
+    els.previewInfo.textContent = `Shows titles and thumbnails from ${names.join(" and ")} under the links. ` +
+      "Your searches are sent to those sites. YouTube has no public search feed, so it keeps its usual link.";
+    if (safety.mode === "strict") els.previewInfo.textContent += " Strict mode turns previews off.";
+  }
+
+  // ---------------------------
+  // Launch queue (big selections open in steps and survive a reload)
+  // ---------------------------
+  /** { query, settings, ids: platform ids still to open, opened, total, blocked, time }; null when idle. */
+  let launch = loadLaunch();
+
+  function isLaunch(v) {
+    return !!v && typeof v.query === "string" && v.query.trim() !== "" && isSearchSettings(v.settings) &&
+      isStringArray(v.ids) && v.ids.length > 0 && Number.isInteger(v.opened) && Number.isInteger(v.total) &&
+      v.total >= v.ids.length && typeof v.blocked === "boolean" && typeof v.time === "number";
+  }
+
+  function loadLaunch() {
+    const saved = safeGetJSON(STORAGE_KEYS.launch, null);
+    return isLaunch(saved) ? saved : null;
+  }
+
+  function saveLaunch() {
+    if (launch) safeSetJSON(STORAGE_KEYS.launch, launch);
+    else localStorage.removeItem(STORAGE_KEYS.launch);
+  }
+
+  function startLaunch(search, platforms) {
+    stopLaunch();
+    if (!platforms.length) {
+      els.resultsHint.textContent = "Select some platforms to open first.";
+      return;
+    }
+    launch = {
+      query: search.raw,
+      settings: { ...search.settings, languages: [...search.settings.languages] },
+      ids: platforms.map(p => p.id),
+      opened: 0,
+      total: platforms.length,
+      blocked: false,
+      time: Date.now()
+    };
+    launchStep();
+  }
+
+  /**
+   * Open the next TAB_LIMIT_DEFAULT tabs (Advanced Mode: all the rest). Every tab of the step
+   * opens synchronously inside the click, the only time pop-up blockers allow it.
+   * A refused pop-up pauses the launch until the user resumes it.
+   */
+  function launchStep() {
+    if (!launch) return;
+    // Words blocked since the launch started end it.
+    if (blockedTerm(launch.query)) {
+      stopLaunch();
+      return;
+    }
+    if (isOffline) {
+      renderLaunch();
+      els.launchSummary.textContent = "You're offline. Resume once you're back online.";
+      return;
+    }
+
+    const search = buildSearch(launch.query, launch.settings);
+    // Platforms removed or hidden by strict mode since the launch started are skipped.
+    const platforms = queuedPlatforms(launch);
+    const now = [];
+    launch.blocked = false;
+    for (const p of platforms.slice(0, advancedMode ? platforms.length : TAB_LIMIT_DEFAULT)) {
+      if (!openTab(openUrl(p, search))) {
+        launch.blocked = true;
+        break;
+      }
+      now.push(p);
+    }
+    if (now.length) {
+      recordOpens(search.text, now.map(p => p.id), "open");
+      markOpened(search.raw, now.map(p => p.id));
+      SoundManager.playLaunch();
+    }
+    launch.opened += now.length;
+    launch.ids = platforms.slice(now.length).map(p => p.id);
+    if (!launch.ids.length) {
+      finishLaunch();
+      return;
+    }
+    saveLaunch();
+    renderLaunch();
+  }
+
+  function stopLaunch() {
+    launch = null;
+    saveLaunch();
+    renderLaunch();
+  }
+
+  function finishLaunch() {
+    const opened = launch.opened;
+    stopLaunch();
+    els.resultsHint.textContent = `Opened ${opened} tab(s).`;
+    announce(`Opened ${opened} tabs`);
+  }
+
+  function renderLaunch() {
+    els.launchBanner.hidden = !launch;
+    if (!launch) return;
+    const progress = `${launch.opened} of ${launch.total}`;
+    const query = `“${launch.query}”`;
+    if (launch.blocked) els.launchSummary.textContent = `Pop-ups were blocked after ${progress} tabs for ${query}. Allow pop-ups for this site, then resume.`;
+    else els.launchSummary.textContent = `Opened ${progress} tabs for ${query}.`;
+    els.launchProgress.max = launch.total;
+    els.launchProgress.value = launch.total - launch.ids.length;
+    const next = advancedMode ? launch.ids.length : Math.min(TAB_LIMIT_DEFAULT, launch.ids.length);
+    els.launchNextBtn.textContent = launch.blocked ? "Resume" : `Open next ${next}`;
+  }
+
+  // ---------------------------
+  // Offline queue (searches saved while offline, opened once back online)
+  // ---------------------------
+  const OFFLINE_QUEUE_LIMIT = 50;
+
+  let isOffline = navigator.onLine === false;
+  let lastSearch = null; // re-rendered when the connection changes
+  let offlineQueue = loadOfflineQueue();
+  let queueNoticeHidden = false; // "Later" hides the back-online notice until the next reconnect
+
+  // The shape of currentSettings(), as saved with queued searches and launches.
+  function isSearchSettings(s) {
+    return !!s && typeof s.category === "string" && isStringArray(s.languages) &&
+      typeof s.recency === "string" && typeof s.scriptMode === "string";
+  }
+
+  function isQueuedSearch(e) {
+    return e && typeof e.id === "string" && typeof e.query === "string" && e.query.trim() &&
+      typeof e.time === "number" && isStringArray(e.ids) && isSearchSettings(e.settings);
+  }
+
+  function loadOfflineQueue() {
+    const saved = safeGetJSON(STORAGE_KEYS.offlineQueue, []);
+    return Array.isArray(saved) ? saved.filter(isQueuedSearch) : [];
+  }
+
+  function saveOfflineQueue() {
+    safeSetJSON(STORAGE_KEYS.offlineQueue, offlineQueue);
+  }
+
+  // Same query with the same settings → one queue entry.
+  const queueKey = (query, settings) => `${historyKey(query)}|${JSON.stringify(settings)}`;
+
+  function findQueued(search) {
+    const key = queueKey(search.raw, search.settings);
+    return offlineQueue.find(e => queueKey(e.query, e.settings) === key);
+  }
+
+  function isQueued(search, id) {
+    const entry = findQueued(search);
+    return !!entry && entry.ids.includes(id);
+  }
+
+  function queueSearch(search, ids) {
+    const entry = findQueued(search);
+    if (entry) {
+      entry.ids = [...new Set([...entry.ids, ...ids])];
+      entry.time = Date.now();
+    } else {
+      offlineQueue.push({
+        id: `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+        query: search.raw,
+        time: Date.now(),
+        settings: { ...search.settings, languages: [...search.settings.languages] },
+        ids: [...ids]
+      });
+      offlineQueue = offlineQueue.slice(-OFFLINE_QUEUE_LIMIT);
+    }
+    saveOfflineQueue();
+    SoundManager.playClick();
+    renderOfflineBanner();
+    if (lastSearch) renderResultsCards(lastSearch);
+  }
+
+  function queuedPlatforms(entry) {
+    return migratePlatformIds(entry.ids).map(id => PLATFORMS.find(p => p.id === id)).filter(p => p && platformAllowed(p));
+  }
+
+  /**
+   * Open queued searches oldest first, up to the usual tab limit per click.
+   * Whatever doesn't fit stays queued for the next click.
+   */
+  function openQueued(entries) {
+    let budget = advancedMode ? Infinity : TAB_LIMIT_DEFAULT;
+    let opened = 0;
+    let blocked = false;
+    entries.forEach(entry => {
+      // Words blocked since the search was queued drop it from the queue.
+      if (blockedTerm(entry.query)) {
+        entry.ids = [];
+        return;
+      }
+      const search = buildSearch(entry.query, entry.settings);
+      const platforms = queuedPlatforms(entry);
+      const now = [];
+      // Pop-up blockers: open synchronously inside the click handler, and stop at the first refusal.
+      for (const p of blocked ? [] : platforms.slice(0, budget)) {
+        if (!openTab(openUrl(p, search))) {
+          blocked = true;
+          break;
+        }
+        now.push(p);
+      }
+      if (now.length) {
+        recordOpens(search.text, now.map(p => p.id), "open");
+        markOpened(search.raw, now.map(p => p.id));
+      }
+      budget -= now.length;
+      opened += now.length;
+      entry.ids = platforms.slice(now.length).map(p => p.id);
+    });
+    offlineQueue = offlineQueue.filter(e => e.ids.length);
+    saveOfflineQueue();
+
+    const left = offlineQueue.reduce((sum, e) => sum + e.ids.length, 0);
+    if (blocked) els.resultsHint.textContent = `${popupBlockedText(opened)} ${left} still queued.`;
+    else if (left) els.resultsHint.textContent = `Opened ${opened} queued tab(s); ${left} still queued. Click again to open more.`;
+    else els.resultsHint.textContent = `Opened ${opened} queued tab(s).`;
+    if (opened) SoundManager.playLaunch();
+    renderOfflineBanner();
+    renderQueueList();
+  }
+
+  function removeQueued(id) {
+    offlineQueue = offlineQueue.filter(e => e.id !== id);
+    saveOfflineQueue();
+    renderOfflineBanner();
+    renderQueueList();
+    if (lastSearch) renderResultsCards(lastSearch);
+  }
+
+  function renderOfflineBanner() {
+    const count = offlineQueue.length;
+    const tabs = offlineQueue.reduce((sum, e) => sum + e.ids.length, 0);
+    const queued = `${count} queued search(es), ${tabs} tab(s)`;
+    if (isOffline) {
+      els.offlineSummary.textContent = `You're offline. Tap a result or Open Selected to save it for later${count ? ` (${queued})` : ""}.`;
+    } else {
+      els.offlineSummary.textContent = `Back online: ${queued} ready to open.`;
+    }
+    els.offlineBanner.hidden = isOffline ? false : (!count || queueNoticeHidden);
+    els.queueOpenBtn.hidden = isOffline || !count;
+    els.queueListBtn.hidden = !count;
+    els.queueLaterBtn.hidden = isOffline;
+  }
+
+  function renderQueueList() {
+    els.queueCount.textContent = offlineQueue.length ? `${offlineQueue.length} queued search(es)` : "Nothing queued.";
+
+    els.queueList.replaceChildren(...offlineQueue.map(entry => {
+      const when = new Date(entry.time).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+      return el("li", { className: "customItem" }, [
+        el("div", { className: "pMeta" }, [
+          el("div", { className: "pName", text: entry.query }),
+          el("div", { className: "pCat", text: `${when} • ${queuedPlatforms(entry).map(p => p.name).join(", ") || "no platforms"}` })
+        ]),
+        el("button", {
+          type: "button",
+          className: "chip",
+          text: "Open",
+          disabled: isOffline,
+          on: { click: () => openQueued([entry]) }
+        }),
+        el("button", {
+          type: "button",
+          className: "chip danger",
+          text: "Remove",
+          on: {
+            click: () => {
+              SoundManager.playClear();
+              removeQueued(entry.id);
+            }
+          }
+        })
+      ]);
+    }));
+  }
+
+  function openQueueDialog() {
+    SoundManager.playClick();
+    renderQueueList();
+    openModal(els.queueDialog);
+  }
+
+  function setOffline(offline) {
+    if (offline === isOffline) return;
+    isOffline = offline;
+    if (!offline) {
+      queueNoticeHidden = false;
+      if (offlineQueue.length) SoundManager.playSuccess();
+    }
+    renderOfflineBanner();
+    renderQueueList();
+    if (lastSearch) renderResultsCards(lastSearch);
+    loadPreviews(lastSearch);
+  }
+
+  // ---------------------------
+  // Batch search (a list of queries → one grouped link report)
+  // ---------------------------
+  const BATCH_LIMIT = 100;
+  const BATCH_FILE_MAX_BYTES = 1024 * 1024;
+  const BATCH_TITLE = "GM Video Finder batch report";
+  // Header names that mark the query column of a CSV file; without one the first column is used.
+  const BATCH_QUERY_COLUMNS = ["query", "title", "name", "keyword", "keywords", "search"];
+
+  const BATCH_FORMATS = {
+    csv: { ext: "csv", type: "text/csv", build: batchCsv },
+    json: { ext: "json", type: "application/json", build: batchJson },
+    md: { ext: "md", type: "text/markdown", build: batchMarkdown },
+    html: { ext: "html", type: "text/html", build: batchHtml }
+  };
+
+  /**
+   * The last run: { time, settings, rows: [{ query, search, note, results: [{ platform, score, url }] }] }.
+   * `note` says why a row has no links; `url` is the web link, the same on every device.
+   */
+  let batchReport = null;
+  let batchOpened = 0; // links opened so far, in report order
+
+  // RFC 4180: quoted cells may hold commas, line breaks and "" for a quote.
+  function parseCsv(text) {
+    const rows = [[]];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"' && !cell) {
+        quoted = true;
+      } else if (c === ",") {
+        rows[rows.length - 1].push(cell);
+        cell = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        rows[rows.length - 1].push(cell);
+        cell = "";
+        rows.push([]);
+      } else {
+        cell += c;
+      }
+    }
+    rows[rows.length - 1].push(cell);
+    return rows.filter(row => row.some(c => c.trim()));
+  }
+
+  function queriesFromFile(name, text) {
+    text = text.replace(/^\uFEFF/, "");
+    if (!/\.csv$/i.test(name)) return text.split(/\r?\n/);
+    const rows = parseCsv(text);
+    const header = rows.length ? rows[0].map(h => h.trim().toLowerCase()) : [];
+    const column = header.findIndex(h => BATCH_QUERY_COLUMNS.includes(h));
+    return (column >= 0 ? rows.slice(1) : rows).map(row => (row[Math.max(column, 0)] || "").replace(/\s+/g, " "));
+  }
+
+  // One query per line; blank lines and repeats (ignoring case) are dropped.
+  function batchQueries(text) {
+    const seen = new Set();
+    return text.split(/\r?\n/).map(q => q.trim()).filter(q => {
+      const key = historyKey(q);
+      if (!q || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  async function readBatchFile() {
+    const file = els.batchFile.files && els.batchFile.files[0];
+    els.batchError.textContent = "";
+    if (file && file.size > BATCH_FILE_MAX_BYTES) {
+      els.batchError.textContent = "This file is too large for a batch (1 MB max).";
+    } else if (file) {
+      try {
+        const queries = batchQueries(queriesFromFile(file.name, await file.text()).join("\n"));
+        if (queries.length) els.batchInput.value = queries.join("\n");
+        else els.batchError.textContent = "No queries found in this file.";
+      } catch {
+        els.batchError.textContent = "This file couldn't be read.";
       }
+    }
+    // Allow picking the same file again after editing it.
+    els.batchFile.value = "";
+  }
+
+  // Every query goes through the same settings, platforms and ranking as a single search.
+  function runBatch() {
+    const queries = batchQueries(els.batchInput.value);
+    els.batchError.textContent = "";
+    if (!queries.length) {
+      els.batchError.textContent = "Add at least one query, one per line.";
+      return;
+    }
+    if (queries.length > BATCH_LIMIT) {
+      els.batchError.textContent = `A batch can have up to ${BATCH_LIMIT} queries; this one has ${queries.length}.`;
+      return;
+    }
+
+    const settings = { ...currentSettings(), languages: [...activeLanguages] };
+    batchReport = {
+      time: new Date(),
+      settings,
+      rows: queries.map(query => {
+        if (blockedTerm(query)) return { query, search: null, note: "blocked by Safety settings", results: [] };
+        const search = buildSearch(query, settings);
+        if (!search.text) return { query, search, note: "nothing to search for", results: [] };
+        const results = rankResults(search).map(r => ({ platform: r.platform, score: r.score, url: platformUrl(r.platform, search) }));
+        return { query, search, note: results.length ? "" : "no matching platforms", results };
+      })
+    };
+    batchOpened = 0;
+    SoundManager.playSuccess();
+    renderBatchReport();
+    announce(batchSummaryText(batchReport));
+  }
+
+  const batchLinks = () => (batchReport ? batchReport.rows.flatMap(row => row.results.map(result => ({ row, result }))) : []);
+
+  function batchSummaryText(report) {
+    const links = report.rows.reduce((sum, row) => sum + row.results.length, 0);
+    const category = CATEGORIES.find(c => c.id === report.settings.category);
+    const recency = RECENCY.find(r => r.id === report.settings.recency);
+    return [
+      `${report.rows.length} queries`,
+      `${links} links`,
+      category ? category.label : report.settings.category,
+      report.settings.languages.length ? report.settings.languages.join(", ") : "any language",
+      recency ? recency.label : report.settings.recency
+    ].join(" • ");
+  }
+
+  function recordBatchOpens(row, platforms, src) {
+    const ids = platforms.map(p => p.id);
+    recordOpens(row.search.text, ids, src);
+    markOpened(row.query, ids);
+  }
+
+  function renderBatchReport() {
+    els.batchResults.hidden = !batchReport;
+    if (!batchReport) return;
+    els.batchSummary.textContent = batchSummaryText(batchReport);
+    els.batchReport.replaceChildren(...batchReport.rows.map(row => el("section", { className: "batchGroup" }, [
+      el("h3", {}, [row.query, el("span", { className: "muted", text: ` • ${row.note || `${row.results.length} link(s)`}` })]),
+      row.results.length ? el("ol", { className: "batchLinks" }, row.results.map(({ platform, score }) => el("li", {}, [
+        el("a", {
+          className: "chip",
+          href: openUrl(platform, row.search),
+          target: "_blank",
+          rel: "noopener noreferrer",
+          title: `Score ${score}`,
+          text: platform.name,
+          on: { click: () => recordBatchOpens(row, [platform], "card") }
+        })
+      ]))) : null
+    ])));
+    renderBatchProgress();
+  }
+
+  function renderBatchProgress() {
+    const total = batchLinks().length;
+    const next = Math.min(TAB_LIMIT_DEFAULT, total - batchOpened);
+    els.batchOpenBtn.disabled = next <= 0;
+    els.batchOpenBtn.textContent = next > 0 ? `Open next ${next}` : "All opened";
+    if (!total) els.batchProgress.textContent = "No links to open.";
+    else if (!batchOpened) els.batchProgress.textContent = `Opens ${TAB_LIMIT_DEFAULT} tabs per click.`;
+    else els.batchProgress.textContent = `Opened ${batchOpened} of ${total} links.`;
+  }
+
+  /**
+   * Open the next links of the report, TAB_LIMIT_DEFAULT per click. A batch can hold
+   * hundreds of links, so Advanced Mode doesn't lift the limit here.
+   */
+  function openBatchStep() {
+    if (isOffline) {
+      els.batchProgress.textContent = "You're offline. Export the report, or open the links once you're back online.";
+      return;
+    }
+    const next = batchLinks().slice(batchOpened, batchOpened + TAB_LIMIT_DEFAULT);
+    // Pop-up blockers: open synchronously inside the click handler, and stop at the first refusal.
+    const blockedAt = next.findIndex(({ row, result }) => !openTab(openUrl(result.platform, row.search)));
+    const now = blockedAt < 0 ? next : next.slice(0, blockedAt);
+    batchReport.rows.forEach(row => {
+      const platforms = now.filter(link => link.row === row).map(link => link.result.platform);
+      if (platforms.length) recordBatchOpens(row, platforms, "open");
+    });
+    batchOpened += now.length;
+    if (now.length) SoundManager.playLaunch();
+    renderBatchProgress();
+    if (blockedAt >= 0) els.batchProgress.textContent = popupBlockedText(batchOpened);
+  }
+
+  // Spreadsheets run text cells starting with = + - @ as formulas; a leading ' keeps them text.
+  function csvCell(value) {
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function batchCsv(report) {
+    const lines = [["query", "rank", "platform", "score", "url", "note"]];
+    report.rows.forEach(row => {
+      if (row.note) lines.push([row.query, "", "", "", "", row.note]);
+      row.results.forEach((r, i) => lines.push([row.query, i + 1, r.platform.name, r.score, r.url, ""]));
+    });
+    // The BOM makes Excel read the file as UTF-8.
+    return "\uFEFF" + lines.map(cells => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  function batchJson(report) {
+    return JSON.stringify({
+      app: PROFILE_APP,
+      kind: "batch-report",
+      exportedAt: report.time.toISOString(),
+      settings: report.settings,
+      queries: report.rows.map(row => ({
+        query: row.query,
+        ...(row.note ? { note: row.note } : {}),
+        results: row.results.map((r, i) => ({ rank: i + 1, id: r.platform.id, platform: r.platform.name, score: r.score, url: r.url }))
+      }))
+    }, null, 2);
+  }
+
+  const batchExportedLine = report =>
+    `${batchSummaryText(report)} • ${report.time.toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}`;
+
+  const markdownText = text => String(text).replace(/[\\`*_[\]<>#|]/g, "\\$&");
+
+  function batchMarkdown(report) {
+    const lines = [`# ${BATCH_TITLE}`, "", markdownText(batchExportedLine(report))];
+    report.rows.forEach(row => {
+      lines.push("", `## ${markdownText(row.query)}`, "");
+      if (row.note) lines.push(`_${markdownText(row.note)}_`);
+      // <...> keeps parentheses in URLs from ending the link early.
+      row.results.forEach((r, i) => lines.push(`${i + 1}. [${markdownText(r.platform.name)}](<${r.url}>)`));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // Built with `el` like the UI, so queries and names can only end up as text.
+  function batchHtml(report) {
+    const page = el("html", { attrs: { lang: "en" } }, [
+      el("head", {}, [el("meta", { attrs: { charset: "utf-8" } }), el("title", { text: BATCH_TITLE })]),
+      el("body", {}, [
+        el("h1", { text: BATCH_TITLE }),
+        el("p", { text: batchExportedLine(report) }),
+        ...report.rows.flatMap(row => [
+          el("h2", { text: row.query }),
+          row.note
+            ? el("p", {}, [el("em", { text: row.note })])
+            : el("ol", {}, row.results.map(r => el("li", {}, [el("a", { href: r.url, text: r.platform.name })])))
+        ])
+      ])
+    ]);
+    return `<!doctype html>\n${page.outerHTML}\n`;
+  }
+
+  function exportBatch() {
+    if (!batchReport) return;
+    const format = BATCH_FORMATS[els.batchFormat.value] || BATCH_FORMATS.csv;
+    const name = `gm-video-finder-batch-${batchReport.time.toISOString().slice(0, 10)}.${format.ext}`;
+    downloadFile(name, format.build(batchReport), `${format.type};charset=utf-8`);
+    SoundManager.playClick();
+  }
+
+  function openBatchDialog() {
+    els.batchError.textContent = "";
+    renderBatchReport();
+    openModal(els.batchDialog);
+  }
 
-      const desc = document.createElement("div");
-      desc.className = "linkDesc";
-      desc.textContent = p.hint || "Search";
+  // ---------------------------
+  // Shareable state (search settings <-> URL)
+  // ---------------------------
+  /**
+   * ?q=ipl&cat=news&lang=tamil,hindi&time=week&script=both&p=ndtv,aajtak
+   * p="*" means every platform in the category; lang="any" means no language.
+   * Unknown or malformed values are ignored; the recipient's own setting is used instead.
+   */
+  const SHARE_PARAMS = ["cat", "lang", "time", "script", "p"];
+  const SHARE_QUERY_MAX = 500;
+  const ID_RE = /^[a-z0-9_]+$/i;
+
+  let sharedNotes = [];
+
+  function shareUrl() {
+    const url = new URL(window.location.pathname, window.location.origin);
+    const q = qs();
+    if (q) url.searchParams.set("q", q);
+    url.searchParams.set("cat", activeCategory);
+    url.searchParams.set("lang", activeLanguages.length ? activeLanguages.map(l => l.toLowerCase()).join(",") : "any");
+    url.searchParams.set("time", activeRecency);
+    url.searchParams.set("script", scriptModeFor(q));
+    const enabled = enabledPlatforms();
+    const selected = enabled.filter(p => selectedSet.has(p.id));
+    url.searchParams.set("p", selected.length === enabled.length ? "*" : selected.map(p => p.id).join(","));
+    return url.toString();
+  }
 
-      const pill = document.createElement("div");
-      pill.className = "pill";
-      pill.textContent = (p.category || "all").toUpperCase();
+  /** Read shared settings from URL params. Returns null when the link only carries a query. */
+  function decodeSharedState(params) {
+    if (!SHARE_PARAMS.some(k => params.has(k))) return null;
+    const state = { notes: [] };
 
-      left.appendChild(name);
-      left.appendChild(desc);
-      a.appendChild(left);
-      a.appendChild(pill);
-      els.results.appendChild(a);
-    });
-  }
+    const cat = (params.get("cat") || "").toLowerCase();
+    if (CATEGORIES.some(c => c.id === cat)) state.category = cat;
+    else if (cat) state.notes.push(`unknown category “${cat}”`);
 
-  function runSearch(saveRecentFlag = true) {
-    const raw = qs();
-    if (!raw) {
-      els.results.innerHTML = "";
-      els.resultsHint.textContent = "";
-      return;
+    const lang = (params.get("lang") || "").toLowerCase();
+    if (lang === "any") {
+      state.languages = [];
+    } else if (lang) {
+      const names = lang.split(",").map(x => x.trim()).filter(Boolean);
+      const langs = names.map(n => LANGUAGES.find(l => l !== "Any" && l.toLowerCase() === n)).filter(Boolean);
+      if (langs.length) state.languages = [...new Set(langs)];
+      if (langs.length < names.length) state.notes.push(`${names.length - langs.length} unknown language(s)`);
     }
 
-    const query = withLanguage(raw, activeLanguage);
-    if (saveRecentFlag) addRecent(raw);
+    const time = (params.get("time") || "").toLowerCase();
+    if (RECENCY.some(r => r.id === time)) state.recency = time;
 
-    // Small loading micro-interaction (doesn't open tabs, so safe to delay).
-    showLoading(true);
-    window.setTimeout(() => {
-      showLoading(false);
-      SoundManager.playSuccess();
-      renderResultsCards(query);
-    }, 500); // Increased delay slightly to feel more "processing" based on user expectation
-  }
+    const script = (params.get("script") || "").toLowerCase();
+    if (SCRIPT_MODES.some(m => m.id === script)) state.scriptMode = script;
 
-  function openSelected() {
-    const raw = qs();
-    if (!raw) return;
+    const p = params.get("p");
+    if (p === "*") {
+      state.selected = "*";
+    } else if (p) {
+      const ids = p.split(",").map(x => x.trim()).filter(x => ID_RE.test(x));
+      state.selected = migratePlatformIds(ids);
+      const missing = p.split(",").filter(Boolean).length - state.selected.length;
+      if (missing) state.notes.push(`${missing} platform(s) not available here`);
+    }
+    return state;
+  }
 
-    const query = withLanguage(raw, activeLanguage);
-    const enabled = enabledPlatforms();
-    const selected = enabled.filter(p => selectedSet.has(p.id));
+  // Apply shared settings for this session only; saved defaults stay untouched.
+  function enterSharedView(state, query) {
+    sharedView = true;
+    sharedNotes = state.notes;
+    if (state.category) activeCategory = state.category;
+    if (state.languages) activeLanguages = state.languages;
+    if (state.recency) activeRecency = state.recency;
+    if (state.scriptMode === "native") nativeQuery = historyKey(query);
+    else if (state.scriptMode) scriptMode = state.scriptMode;
+    if (state.selected === "*") selectedSet = new Set(enabledPlatforms().map(p => p.id));
+    else if (state.selected) selectedSet = new Set(state.selected);
+    renderSharedBanner();
+    renderAllUI();
+  }
 
-    const limit = advancedMode ? selected.length : TAB_LIMIT_DEFAULT;
-    const toOpen = selected.slice(0, limit);
+  function leaveSharedView() {
+    if (!sharedView) return;
+    sharedView = false;
+    sharedNotes = [];
+    renderSharedBanner();
+  }
 
-    // Pop-up blockers: open immediately in the click handler, no async waits.
-    toOpen.forEach(p => window.open(p.makeUrl(query), "_blank", "noopener,noreferrer"));
+  function adoptSharedState() {
+    leaveSharedView();
+    localStorage.setItem(STORAGE_KEYS.category, activeCategory);
+    saveLanguages(activeLanguages);
+    localStorage.setItem(STORAGE_KEYS.recency, activeRecency);
+    localStorage.setItem(STORAGE_KEYS.scriptMode, scriptMode);
+    saveSelectedSet();
+    setActivePresetId("");
+    renderPresetPicker();
+    SoundManager.playSuccess();
+  }
 
-    if (!advancedMode && selected.length > TAB_LIMIT_DEFAULT) {
-      els.resultsHint.textContent = `Opened ${TAB_LIMIT_DEFAULT} tabs. Enable Advanced Mode to open all (${selected.length}).`;
-    } else {
-      els.resultsHint.textContent = `Opened ${toOpen.length} tab(s).`;
-    }
-    SoundManager.playLaunch();
+  function dismissSharedState() {
+    leaveSharedView();
+    reloadFromStorage();
   }
 
-  function clearAll() {
-    els.query.value = "";
-    els.results.innerHTML = "";
-    els.resultsHint.textContent = "";
-    SoundManager.playClear();
-    els.query.focus();
+  function renderSharedBanner() {
+    els.sharedBanner.hidden = !sharedView;
+    if (!sharedView) return;
+    const langs = activeLanguages.length ? activeLanguages.join(", ") : "any language";
+    const count = enabledPlatforms().filter(p => selectedSet.has(p.id)).length;
+    const parts = [`${activeCategory} • ${langs} • ${activeRecency} • ${count} platform(s)`];
+    if (sharedNotes.length) parts.push(`Skipped: ${sharedNotes.join(", ")}`);
+    els.sharedSummary.textContent = `Viewing shared settings: ${parts.join(". ")}.`;
   }
 
   async function share() {
-    const q = qs();
-    const url = new URL(window.location.href);
-    if (q) url.searchParams.set("q", q);
+    const url = shareUrl();
     try {
-      await navigator.clipboard.writeText(url.toString());
+      await navigator.clipboard.writeText(url);
       els.shareBtn.textContent = "Copied";
       setTimeout(() => (els.shareBtn.textContent = "Share"), 900);
     } catch {
       // Fallback (older browsers)
       // eslint-disable-next-line no-alert
-      prompt("Copy link:", url.toString());
+      prompt("Copy link:", url);
+    }
+  }
+
+  // ---------------------------
+  // Profile import / export (versioned JSON)
+  // ---------------------------
+  const PROFILE_APP = "gm-video-finder";
+  const PROFILE_VERSION = 1;
+
+  function uniqueBy(items, keyOf) {
+    const seen = new Set();
+    return items.filter(item => {
+      const k = keyOf(item);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+  }
+
+  /**
+   * One entry per stored setting.
+   * { key, label, read(), valid(v), merge(current, incoming), write(v), describe(v) }
+   * Merge only matters for collections; plain values are simply taken from the file.
+   */
+  const PROFILE_FIELDS = [
+    {
+      key: "theme",
+      label: "Theme",
+      read: getTheme,
+      valid: v => v === "dark" || v === "light",
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.theme, v),
+      describe: v => v
+    },
+    {
+      key: "recent",
+      label: "Recent searches",
+      read: getRecent,
+      valid: isStringArray,
+      merge: (cur, inc) => uniqueBy([...inc, ...cur], historyKey),
+      write: setRecent,
+      describe: v => `${v.length} saved`
+    },
+    {
+      key: "category",
+      label: "Category",
+      read: () => activeCategory,
+      valid: v => CATEGORIES.some(c => c.id === v),
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.category, v),
+      describe: v => v
+    },
+    {
+      key: "languages",
+      label: "Languages",
+      read: () => activeLanguages,
+      valid: isLanguageList,
+      merge: (cur, inc) => [...new Set([...cur, ...inc])],
+      write: saveLanguages,
+      describe: v => (v.length ? v.join(", ") : "Any")
+    },
+    {
+      key: "scriptMode",
+      label: "Script",
+      read: () => scriptMode,
+      valid: v => SCRIPT_MODES.some(m => m.id === v),
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.scriptMode, v),
+      describe: v => v
+    },
+    {
+      key: "recency",
+      label: "Recency",
+      read: () => activeRecency,
+      valid: v => RECENCY.some(r => r.id === v),
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.recency, v),
+      describe: v => v
+    },
+    {
+      key: "learning",
+      label: "Personal ranking",
+      read: () => learningEnabled,
+      valid: v => typeof v === "boolean",
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.learning, String(v)),
+      describe: v => (v ? "on" : "off")
+    },
+    {
+      key: "sound",
+      label: "Sound",
+      read: () => SoundManager.settings,
+      valid: isSoundSettings,
+      merge: (cur, inc) => inc,
+      write: v => safeSetJSON(STORAGE_KEYS.sound, v),
+      describe: v => (v.muted ? "muted" : `${v.theme}, volume ${Math.round(v.volume * 100)}%`)
+    },
+    {
+      // The PIN stays on this device; a locked profile keeps its safety settings on import.
+      key: "safety",
+      label: "Safety",
+      read: () => ({ mode: safety.mode, terms: safety.terms }),
+      valid: isSafetySettings,
+      merge: (cur, inc) => ({ mode: inc.mode, terms: [...new Set([...cur.terms, ...inc.terms])] }),
+      write: v => { if (!safety.pin) safeSetJSON(STORAGE_KEYS.safety, { mode: v.mode, terms: v.terms, pin: null }); },
+      describe: v => `${v.mode}, ${v.terms.length} blocked word(s)`
+    },
+    {
+      key: "preferApps",
+      label: "Open in apps",
+      read: () => preferApps,
+      valid: v => typeof v === "boolean",
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.preferApps, String(v)),
+      describe: v => (v ? "on" : "off")
+    },
+    {
+      key: "previews",
+      label: "Video previews",
+      read: () => previewsEnabled,
+      valid: v => typeof v === "boolean",
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.previews, String(v)),
+      describe: v => (v ? "on" : "off")
+    },
+    {
+      key: "advanced",
+      label: "Advanced Mode",
+      read: () => advancedMode,
+      valid: v => typeof v === "boolean",
+      merge: (cur, inc) => inc,
+      write: v => localStorage.setItem(STORAGE_KEYS.advanced, String(v)),
+      describe: v => (v ? "on" : "off")
+    },
+    {
+      key: "customPlatforms",
+      label: "Custom platforms",
+      read: getCustomDefs,
+      valid: v => Array.isArray(v) && v.every(d =>
+        d && typeof d.id === "string" && d.id.startsWith(CUSTOM_ID_PREFIX) && !customPlatformError(d)
+      ),
+      merge: (cur, inc) => uniqueBy([...inc, ...cur], d => d.id),
+      write: saveCustomDefs,
+      describe: v => `${v.length} defined`
+    },
+    {
+      key: "presets",
+      label: "Presets",
+      read: getPresets,
+      valid: v => Array.isArray(v) && v.every(isValidPreset),
+      merge: (cur, inc) => uniqueBy([...inc, ...cur], p => p.id),
+      write: savePresets,
+      describe: v => `${v.length} saved`
+    },
+    {
+      key: "selected",
+      label: "Selected platforms",
+      read: () => [...selectedSet],
+      valid: isStringArray,
+      merge: (cur, inc) => [...new Set([...cur, ...inc])],
+      write: v => safeSetJSON(STORAGE_KEYS.selected, v),
+      describe: v => `${v.length} platforms`
+    }
+  ];
+
+  function buildProfile() {
+    const settings = {};
+    PROFILE_FIELDS.forEach(f => { settings[f.key] = f.read(); });
+    return {
+      app: PROFILE_APP,
+      version: PROFILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings
+    };
+  }
+
+  function exportProfile() {
+    const name = `gm-video-finder-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadFile(name, JSON.stringify(buildProfile(), null, 2), "application/json");
+  }
+
+  // Throws a readable Error for anything that isn't a profile we understand.
+  function parseProfile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("This file isn't valid JSON.");
+    }
+    if (!data || typeof data !== "object" || data.app !== PROFILE_APP) {
+      throw new Error("This isn't a GM Video Finder profile.");
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROFILE_VERSION) {
+      throw new Error(`Unsupported profile version (${data.version}). Update the app and try again.`);
+    }
+    if (!data.settings || typeof data.settings !== "object" || Array.isArray(data.settings)) {
+      throw new Error("The profile has no settings.");
+    }
+    // Early v1 files stored one `language` string.
+    if (typeof data.settings.language === "string" && !("languages" in data.settings)) {
+      const lang = data.settings.language;
+      data.settings.languages = lang === "Any" ? [] : [lang];
+    }
+
+    const settings = {};
+    PROFILE_FIELDS.forEach(f => {
+      if (!(f.key in data.settings)) return;
+      if (!f.valid(data.settings[f.key])) throw new Error(`"${f.label}" in this profile is malformed.`);
+      settings[f.key] = data.settings[f.key];
+    });
+    if (Object.keys(settings).length === 0) throw new Error("The profile has no settings we recognise.");
+
+    return { version: data.version, settings };
+  }
+
+  function profileChanges(profile, mode) {
+    return PROFILE_FIELDS
+      .filter(f => f.key in profile.settings)
+      .map(f => {
+        const current = f.read();
+        const next = mode === "merge" ? f.merge(current, profile.settings[f.key]) : profile.settings[f.key];
+        const same = JSON.stringify(current) === JSON.stringify(next);
+        return { label: f.label, from: f.describe(current), to: f.describe(next), same };
+      });
+  }
+
+  // Re-read every setting from storage, reusing the normal load-time checks.
+  function reloadFromStorage() {
+    leaveSharedView();
+    syncCustomPlatforms();
+    selectedSet = loadSelectedSet();
+    saveSelectedSet();
+    activeCategory = loadCategory();
+    activeLanguages = loadLanguages();
+    activeRecency = loadRecency();
+    scriptMode = loadScriptMode();
+    learningEnabled = loadLearning();
+    affinityCache = null;
+    SoundManager.settings = loadSoundSettings();
+    safety = loadSafety();
+    preferApps = loadPreferApps();
+    previewsEnabled = loadPreviewsEnabled();
+    advancedMode = loadAdvanced();
+    els.advancedToggle.checked = advancedMode;
+    applyTheme(getTheme());
+    renderRecent();
+    renderPresetPicker();
+    ensureSelectionDefaults();
+    renderAllUI();
+    runSearch(false);
+  }
+
+  function applyProfile(profile, mode) {
+    PROFILE_FIELDS.forEach(f => {
+      if (!(f.key in profile.settings)) return;
+      const incoming = profile.settings[f.key];
+      f.write(mode === "merge" ? f.merge(f.read(), incoming) : incoming);
+    });
+    reloadFromStorage();
+  }
+
+  let pendingProfile = null;
+
+  function importMode() {
+    const checked = els.profileDialog.querySelector('input[name="importMode"]:checked');
+    return checked ? checked.value : "merge";
+  }
+
+  function renderImportPreview() {
+    els.importChanges.replaceChildren();
+    els.importPreview.hidden = !pendingProfile;
+    if (!pendingProfile) return;
+
+    const known = new Set(PLATFORMS.map(p => p.id));
+    (pendingProfile.settings.customPlatforms || []).forEach(d => known.add(d.id));
+    const unknown = (pendingProfile.settings.selected || []).filter(id => !known.has(id));
+
+    els.importChanges.append(...[
+      ...profileChanges(pendingProfile, importMode()).map(c => el("li", {
+        className: c.same ? "muted" : undefined,
+        text: c.same ? `${c.label}: unchanged` : `${c.label}: ${c.from} → ${c.to}`
+      })),
+      unknown.length ? el("li", { className: "muted", text: `${unknown.length} selected platform(s) no longer exist and will be skipped.` }) : null,
+      pendingProfile.settings.safety && safety.pin ? el("li", { className: "muted", text: "Safety settings are locked with a PIN and won't be imported." }) : null
+    ].filter(Boolean));
+  }
+
+  async function readImportFile() {
+    const file = els.importFile.files && els.importFile.files[0];
+    pendingProfile = null;
+    els.importError.textContent = "";
+    if (file) {
+      try {
+        pendingProfile = parseProfile(await file.text());
+      } catch (err) {
+        els.importError.textContent = err.message;
+      }
     }
+    // Allow picking the same file again after a failed or finished import.
+    els.importFile.value = "";
+    renderImportPreview();
+  }
+
+  function confirmImport() {
+    if (!pendingProfile) return;
+    applyProfile(pendingProfile, importMode());
+    pendingProfile = null;
+    renderImportPreview();
+    SoundManager.playSuccess();
+    closeModal(els.profileDialog);
+  }
+
+  function openProfileDialog() {
+    pendingProfile = null;
+    els.importError.textContent = "";
+    renderImportPreview();
+    openModal(els.profileDialog);
   }
+
   // ---------------------------
   // Opening Animation (Splash)
   // ---------------------------
   const splash = document.getElementById("splash");
   if (splash) {
-    // Min display time 1.5s for branding
+    // Min display time 1.5s for branding (skipped when the user asks for less motion)
     window.addEventListener("load", () => {
+      const reduced = prefersReducedMotion();
       setTimeout(() => {
         splash.classList.add("hidden");
         // Remove from DOM for performance
-        setTimeout(() => splash.remove(), 600);
-      }, 1200);
+        setTimeout(() => splash.remove(), reduced ? 0 : 600);
+      }, reduced ? 0 : 1200);
     });
   }
 
+  // ---------------------------
+  // Incoming shares (manifest share_target, web+gmfind: links)
+  // ---------------------------
+  const PROTOCOL_PREFIX = /^web\+gmfind:(\/\/)?/i;
+  const URL_RE = /\bhttps?:\/\/\S+/gi;
+  // Query params that carry a title or search on common sites (YouTube search_query, ...).
+  const URL_QUERY_PARAMS = ["title", "search_query", "q", "query", "search", "k", "keyword"];
+  // Path segments that never describe the video itself.
+  const GENERIC_SEGMENTS = new Set([
+    "watch", "shorts", "live", "embed", "video", "videos", "v", "reel", "reels", "p", "tv", "status",
+    "movies", "movie", "shows", "show", "series", "title", "in", "en", "search", "results", "channel",
+    "c", "user", "feed", "playlist", "clip", "clips", "story", "stories", "news", "index.html"
+  ]);
+
+  function safeDecode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch {
+      return text;
+    }
+  }
+
+  // Drop " - YouTube", "| Netflix" and similar site names that share sheets append.
+  function stripSiteSuffix(title) {
+    const names = PLATFORMS.map(p => p.name.toLowerCase());
+    const m = title.match(/^(.*\S)\s*[-|–—•:]\s*([^-|–—•:]+)$/);
+    return m && names.includes(m[2].trim().toLowerCase()) ? m[1] : title;
+  }
+
+  // Video ids (dQw4w9WgXcQ, 1260157366, Cx3fA_bPq) aren't searchable words.
+  function looksLikeId(segment) {
+    if (/^\d+$/.test(segment)) return true;
+    return !/[-\s]/.test(segment) && /\d/.test(segment) && /[a-z]/i.test(segment) && segment.length >= 6;
+  }
+
+  /** A search query from a shared link: a title-like param, else the most descriptive path slug. */
+  function queryFromLink(link) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      return "";
+    }
+    for (const key of URL_QUERY_PARAMS) {
+      const value = (url.searchParams.get(key) || "").trim();
+      if (value) return value;
+    }
+    const segments = url.pathname.split("/").map(safeDecode).filter(Boolean).reverse();
+    const slug = segments.find(seg => !GENERIC_SEGMENTS.has(seg.toLowerCase()) && !looksLikeId(seg) && /\p{L}{2}/u.test(seg));
+    return slug ? slug.replace(/\.[a-z0-9]+$/i, "").replace(/[-_+]+/g, " ") : "";
+  }
+
+  /**
+   * Pull a usable query out of whatever was shared: a title, free text with a link
+   * in it (WhatsApp, Telegram), a bare link, or a web+gmfind: URL.
+   */
+  function incomingQuery(params) {
+    const handler = (params.get("handler") || "").trim();
+    if (handler) {
+      const rest = handler.replace(PROTOCOL_PREFIX, "");
+      const inner = rest.match(/[?&]q=([^&]*)/);
+      return safeDecode((inner ? inner[1] : rest).replace(/\+/g, " ")).replace(/^\/+/, "");
+    }
+
+    const title = (params.get("title") || "").trim();
+    const text = (params.get("text") || "").trim();
+    const links = [params.get("url") || "", ...(text.match(URL_RE) || []), ...(title.match(URL_RE) || [])]
+      .map(l => l.trim())
+      .filter(Boolean);
+    const candidates = [title.replace(URL_RE, ""), text.replace(URL_RE, "")]
+      .map(t => t.replace(/\s+/g, " ").trim())
+      .filter(t => /\p{L}|\p{N}/u.test(t));
+
+    if (candidates.length) return stripSiteSuffix(candidates[0]);
+    for (const link of links) {
+      const q = queryFromLink(link);
+      if (q) return q;
+    }
+    return "";
+  }
+
+  /**
+   * The query a link or the browser's search box sent us. Address-bar searches
+   * (opensearch.xml) arrive as ?q=...&src=opensearch; browsers that fail to fill
+   * the template send "{searchTerms}" literally, which counts as no query.
+   */
+  function searchTermsFromUrl(url) {
+    const raw = (url.searchParams.get("q") || "").replace(/\s+/g, " ").trim();
+    return raw === "{searchTerms}" ? "" : raw;
+  }
+
   function bootFromUrl() {
     const url = new URL(window.location.href);
-    const q = (url.searchParams.get("q") || "").trim();
+    const direct = searchTermsFromUrl(url);
+    const incoming = direct ? "" : incomingQuery(url.searchParams);
+    const q = (direct || incoming).replace(/\s+/g, " ").trim().slice(0, SHARE_QUERY_MAX);
+    if (incoming) {
+      // Keep a clean, reloadable address instead of the raw share payload.
+      const clean = new URL(window.location.pathname, window.location.origin);
+      clean.searchParams.set("q", q);
+      window.history.replaceState(null, "", clean.toString());
+    }
+    const shared = decodeSharedState(url.searchParams);
+    if (shared) enterSharedView(shared, q);
     if (q) {
       els.query.value = q;
       runSearch(true);
+    } else if (["title", "text", "url", "handler"].some(k => url.searchParams.has(k))) {
+      els.resultsHint.textContent = "No title found in the shared link — type what you're looking for.";
+    }
+  }
+
+  // ---------------------------
+  // Service worker (offline cache + updates)
+  // ---------------------------
+  let waitingWorker = null;
+  let reloadingForUpdate = false;
+
+  function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    els.updateBanner.hidden = false;
+  }
+
+  // A new worker counts as an update only when an older one already controls the page.
+  function watchForUpdates(reg) {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(worker);
+        if (worker.state === "installed" || worker.state === "activated") requestCacheStatus();
+      });
+    });
+  }
+
+  function requestCacheStatus() {
+    const worker = navigator.serviceWorker.controller;
+    if (!worker) {
+      els.swStatus.textContent = "Caching for offline use…";
+      return;
     }
+    worker.postMessage({ type: "CACHE_STATUS" });
+  }
+
+  function renderCacheStatus({ version, cached, total }) {
+    const complete = cached === total;
+    els.swStatus.textContent = complete ? `Offline-ready • ${version.slice(0, 7)}` : `Offline cache: ${cached}/${total} files`;
+    els.swStatus.title = `${cached} of ${total} app files cached • version ${version}`;
+  }
+
+  function registerServiceWorker() {
+    navigator.serviceWorker.addEventListener("message", event => {
+      if (event.data && event.data.type === "CACHE_STATUS") renderCacheStatus(event.data);
+    });
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      // The first install claims the page (no reload needed); an accepted update reloads once.
+      if (!reloadingForUpdate) {
+        requestCacheStatus();
+        return;
+      }
+      window.location.reload();
+    });
+
+    navigator.serviceWorker.register("service-worker.js").then(reg => {
+      watchForUpdates(reg);
+      requestCacheStatus();
+    }).catch(() => {
+      els.swStatus.textContent = "Offline mode unavailable";
+    });
+  }
+
+  function applyUpdate() {
+    if (!waitingWorker) return;
+    SoundManager.playClick();
+    reloadingForUpdate = true;
+    els.updateReloadBtn.disabled = true;
+    waitingWorker.postMessage({ type: "SKIP_WAITING" });
   }
 
   function renderAllUI() {
     renderCategories();
     renderLanguages();
+    renderRecency();
     renderTrending();
     renderPlatformGrid();
     updateSelectionInfo();
   }
 
   // ---------------------------
-  // Events
+  // Keyboard: arrow keys, shortcuts, command palette
+  // ---------------------------
+  const PALETTE_LIMIT = 60;
+
+  let paletteItems = [];
+  let paletteIndex = 0;
+
+  function toggleTheme() {
+    const curr = document.documentElement.getAttribute("data-theme") || "dark";
+    applyTheme(curr === "dark" ? "light" : "dark");
+    SoundManager.playClick();
+  }
+
+  const resultCards = () => [...els.results.querySelectorAll("a.linkCard")];
+
+  /**
+   * Arrow keys move focus between `items` laid out in a grid; Up/Down jump a whole row.
+   * Columns are counted from the rendered layout, so it follows the responsive breakpoints.
+   */
+  function moveGridFocus(e, items) {
+    const index = items.indexOf(document.activeElement);
+    if (index < 0) return;
+    const top = node => node.getBoundingClientRect().top;
+    const columns = Math.max(1, items.filter(node => top(node) === top(items[0])).length);
+    const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[e.key];
+    let next = index;
+    if (step) next = Math.min(items.length - 1, Math.max(0, index + step));
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = items.length - 1;
+    else return;
+    e.preventDefault();
+    items[next].focus();
+  }
+
+  // Typing in a field shouldn't trigger single-key shortcuts.
+  function isTyping(target) {
+    return target instanceof HTMLElement &&
+      (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) &&
+      !(target instanceof HTMLInputElement && (target.type === "checkbox" || target.type === "radio"));
+  }
+
+  /** Everything the palette can do right now, as { group, label, run }. */
+  function paletteCommands(input) {
+    const commands = [];
+    const text = input.trim();
+    if (text) {
+      commands.push({ group: "Search", label: `Search for “${text}”`, run: () => { els.query.value = text; runSearch(true); } });
+    }
+
+    resultCards().forEach((card, i) => {
+      const name = card.querySelector(".linkName").textContent;
+      commands.push({ group: "Open result", label: `${name}${i < 9 ? ` (Alt+${i + 1})` : ""}`, run: () => card.click() });
+    });
+    commands.push(
+      { group: "Action", label: "Open selected platforms", run: openSelected },
+      { group: "Action", label: "Clear search", run: clearAll },
+      { group: "Action", label: "Toggle theme", run: toggleTheme },
+      { group: "Action", label: "History", run: openHistoryDialog },
+      { group: "Action", label: "Batch search", run: openBatchDialog },
+      { group: "Action", label: "Settings", run: openSettings },
+      { group: "Action", label: "Keyboard shortcuts", run: openShortcuts }
+    );
+    CATEGORIES.forEach(c => {
+      commands.push({ group: "Category", label: `${c.label}${c.id === activeCategory ? " ✓" : ""}`, run: () => setCategory(c.id) });
+    });
+    LANGUAGES.forEach(l => {
+      const on = l === "Any" ? activeLanguages.length === 0 : activeLanguages.includes(l);
+      commands.push({ group: "Language", label: `${languageLabel(l)}${on ? " ✓" : ""}`, run: () => toggleLanguage(l) });
+    });
+    getPresets().forEach(p => {
+      commands.push({ group: "Preset", label: p.name, run: () => switchPreset(p.id) });
+    });
+    enabledPlatforms().forEach(p => {
+      commands.push({ group: "Platform", label: `${p.name}${selectedSet.has(p.id) ? " ✓" : ""}`, run: () => togglePlatform(p.id) });
+    });
+    return commands;
+  }
+
+  /**
+   * Every typed word must appear in "group label". Labels starting with the input come
+   * first, then the plain search, then the other matches.
+   */
+  function filterCommands(commands, input) {
+    const words = input.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return commands;
+    const rank = x => {
+      if (x.c.group === "Search") return 1;
+      return x.c.label.toLowerCase().replace(/^[^\p{L}\p{N}]+/u, "").startsWith(words[0]) ? 0 : 2;
+    };
+    return commands
+      .map((c, index) => ({ c, index, hay: `${c.group} ${c.label}`.toLowerCase() }))
+      .filter(x => x.c.group === "Search" || words.every(w => x.hay.includes(w)))
+      .map(x => ({ ...x, rank: rank(x) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(x => x.c);
+  }
+
+  function renderPalette() {
+    const input = els.paletteInput.value;
+    paletteItems = filterCommands(paletteCommands(input), input).slice(0, PALETTE_LIMIT);
+    paletteIndex = Math.min(paletteIndex, Math.max(0, paletteItems.length - 1));
+    els.paletteList.replaceChildren(...paletteItems.map((cmd, i) => el("li", {
+      id: `paletteItem${i}`,
+      className: "paletteItem" + (i === paletteIndex ? " active" : ""),
+      attrs: { role: "option", "aria-selected": String(i === paletteIndex) },
+      on: {
+        mousedown: (e) => e.preventDefault(), // keep focus in the input
+        click: () => runPaletteItem(i)
+      }
+    }, [el("span", { text: cmd.label }), el("span", { className: "pCat", text: cmd.group })])));
+
+    const active = els.paletteList.children[paletteIndex];
+    if (active) {
+      els.paletteInput.setAttribute("aria-activedescendant", active.id);
+      if (active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+    } else {
+      els.paletteInput.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function runPaletteItem(i) {
+    const cmd = paletteItems[i];
+    if (!cmd) return;
+    closeModal(els.paletteDialog);
+    SoundManager.playClick();
+    cmd.run();
+  }
+
+  function openPalette() {
+    els.paletteInput.value = "";
+    paletteIndex = 0;
+    renderPalette();
+    openModal(els.paletteDialog);
+    els.paletteInput.focus();
+  }
+
+  function onPaletteKeydown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const n = paletteItems.length;
+      if (!n) return;
+      paletteIndex = (paletteIndex + (e.key === "ArrowDown" ? 1 : n - 1)) % n;
+      renderPalette();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runPaletteItem(paletteIndex);
+    }
+  }
+
+  function openShortcuts() {
+    openModal(els.shortcutsDialog);
+  }
+
+  function onGlobalKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (els.paletteDialog.hidden) openPalette();
+      else closeModal(els.paletteDialog);
+      return;
+    }
+
+    // Alt+1..9 opens the Nth ranked result (e.code: Option+digit types a symbol on macOS).
+    const digit = /^Digit([1-9])$/.exec(e.code || "");
+    if (e.altKey && !e.ctrlKey && !e.metaKey && digit) {
+      const card = resultCards()[Number(digit[1]) - 1];
+      if (card) {
+        e.preventDefault();
+        card.click();
+      }
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+    if (!document.querySelector(".modalOverlay:not([hidden])")) {
+      if (e.key === "/") {
+        e.preventDefault();
+        els.query.focus();
+        els.query.select();
+      } else if (e.key === "?") {
+        e.preventDefault();
+        openShortcuts();
+      }
+    }
+  }
+
   // ---------------------------
   // Events
   // ---------------------------
@@ -824,68 +3937,178 @@
   els.selectAllBtn.addEventListener("click", selectAllEnabled);
   els.selectNoneBtn.addEventListener("click", selectNoneEnabled);
 
+  els.addPlatformBtn.addEventListener("click", () => { SoundManager.playClick(); openPlatformEditor(); });
+  els.platformForm.addEventListener("submit", submitCustomPlatform);
+  els.pfReset.addEventListener("click", resetPlatformForm);
+  wireModal(els.platformEditor, els.platformEditorClose);
+
+  els.profileBtn.addEventListener("click", () => { SoundManager.playClick(); openProfileDialog(); });
+  els.exportProfileBtn.addEventListener("click", () => { SoundManager.playClick(); exportProfile(); });
+  els.importFile.addEventListener("change", readImportFile);
+  els.profileDialog.querySelectorAll('input[name="importMode"]').forEach(r => r.addEventListener("change", renderImportPreview));
+  els.applyImportBtn.addEventListener("click", confirmImport);
+  wireModal(els.profileDialog, els.profileDialogClose);
+
+  els.presetPicker.addEventListener("change", () => {
+    SoundManager.playClick();
+    if (els.presetPicker.value) switchPreset(els.presetPicker.value);
+    else setActivePresetId("");
+  });
+  els.presetsBtn.addEventListener("click", () => { SoundManager.playClick(); openPresetDialog(); });
+  els.presetForm.addEventListener("submit", submitPreset);
+  wireModal(els.presetDialog, els.presetDialogClose);
+
+  els.settingsBtn.addEventListener("click", () => { SoundManager.playClick(); openSettings(); });
+  els.learningToggle.addEventListener("change", () => {
+    setLearning(els.learningToggle.checked);
+    renderLearning();
+    runSearch(false);
+  });
+  els.resetLearningBtn.addEventListener("click", () => {
+    resetLearning();
+    SoundManager.playClear();
+    renderLearning();
+    runSearch(false);
+  });
+  wireModal(els.settingsDialog, els.settingsDialogClose);
+
+  els.soundMute.addEventListener("change", () => {
+    SoundManager.configure({ muted: els.soundMute.checked });
+    renderSoundSettings();
+    SoundManager.playClick();
+  });
+  els.soundVolume.addEventListener("input", () => {
+    SoundManager.configure({ volume: Number(els.soundVolume.value) / 100 });
+  });
+  els.soundVolume.addEventListener("change", () => SoundManager.playClick());
+  els.soundTheme.addEventListener("change", () => {
+    SoundManager.configure({ theme: els.soundTheme.value });
+    SoundManager.playSuccess();
+  });
+  els.soundTestBtn.addEventListener("click", () => SoundManager.playSuccess());
+
+  els.preferAppsToggle.addEventListener("change", () => {
+    setPreferApps(els.preferAppsToggle.checked);
+    SoundManager.playClick();
+    if (lastSearch) renderResultsCards(lastSearch);
+  });
+  els.previewToggle.addEventListener("change", () => {
+    setPreviewsEnabled(els.previewToggle.checked);
+    SoundManager.playClick();
+  });
+  els.strictToggle.addEventListener("change", () => setStrict(els.strictToggle.checked));
+  els.saveTermsBtn.addEventListener("click", saveTerms);
+  els.pinForm.addEventListener("submit", submitPin);
+  els.removePinBtn.addEventListener("click", removePin);
+
+  els.historySearch.addEventListener("input", renderHistoryList);
+  els.historyCategory.addEventListener("change", renderHistoryList);
+  els.historyLanguage.addEventListener("change", renderHistoryList);
+  els.clearHistoryBtn.addEventListener("click", clearHistoryRange);
+  wireModal(els.historyDialog, els.historyDialogClose);
+
+  window.addEventListener("online", () => setOffline(false));
+  window.addEventListener("offline", () => setOffline(true));
+  els.queueOpenBtn.addEventListener("click", () => openQueued([...offlineQueue]));
+  els.launchNextBtn.addEventListener("click", launchStep);
+  els.launchStopBtn.addEventListener("click", () => { SoundManager.playClear(); stopLaunch(); });
+  els.queueListBtn.addEventListener("click", openQueueDialog);
+  els.queueLaterBtn.addEventListener("click", () => {
+    SoundManager.playClick();
+    queueNoticeHidden = true;
+    renderOfflineBanner();
+  });
+  els.queueClearBtn.addEventListener("click", () => {
+    SoundManager.playClear();
+    offlineQueue = [];
+    saveOfflineQueue();
+    renderOfflineBanner();
+    renderQueueList();
+    if (lastSearch) renderResultsCards(lastSearch);
+  });
+  wireModal(els.queueDialog, els.queueDialogClose);
+
+  els.batchBtn.addEventListener("click", () => { SoundManager.playClick(); openBatchDialog(); });
+  els.runBatchBtn.addEventListener("click", runBatch);
+  els.batchFile.addEventListener("change", readBatchFile);
+  els.batchExportBtn.addEventListener("click", exportBatch);
+  els.batchOpenBtn.addEventListener("click", openBatchStep);
+  wireModal(els.batchDialog, els.batchDialogClose);
+
+  els.query.addEventListener("input", renderScriptChips);
   els.query.addEventListener("keydown", (e) => {
     if (e.key === "Enter") runSearch(true);
     if (e.key === "Escape") clearAll();
+    // Down arrow jumps from the search box to the first result.
+    if (e.key === "ArrowDown" && resultCards().length) {
+      e.preventDefault();
+      resultCards()[0].focus();
+    }
   });
 
-  els.themeToggle.addEventListener("click", () => {
-    const curr = document.documentElement.getAttribute("data-theme") || "dark";
-    applyTheme(curr === "dark" ? "light" : "dark");
-    SoundManager.playClick();
-  });
+  document.addEventListener("keydown", onGlobalKeydown);
+  els.platformGrid.addEventListener("keydown", (e) => moveGridFocus(e, [...els.platformGrid.querySelectorAll(".pToggle")]));
+  els.results.addEventListener("keydown", (e) => moveGridFocus(e, resultCards()));
+  els.paletteInput.addEventListener("input", () => { paletteIndex = 0; renderPalette(); });
+  els.paletteInput.addEventListener("keydown", onPaletteKeydown);
+  wireModal(els.paletteDialog, els.paletteDialogClose);
+  els.shortcutsBtn.addEventListener("click", () => { SoundManager.playClick(); openShortcuts(); });
+  wireModal(els.shortcutsDialog, els.shortcutsDialogClose);
+
+  els.themeToggle.addEventListener("click", toggleTheme);
 
   els.advancedToggle.addEventListener("change", () => {
     advancedMode = !!els.advancedToggle.checked;
     localStorage.setItem(STORAGE_KEYS.advanced, String(advancedMode));
     updateSelectionInfo();
+    renderLaunch();
     SoundManager.playClick();
   });
 
   els.shareBtn.addEventListener("click", () => { SoundManager.playClick(); share(); });
+  els.adoptSharedBtn.addEventListener("click", adoptSharedState);
+  els.updateReloadBtn.addEventListener("click", applyUpdate);
+  els.dismissSharedBtn.addEventListener("click", () => { SoundManager.playClick(); dismissSharedState(); });
 
   // ---------------------------
   // Init
   // ---------------------------
   applyTheme(getTheme());
   els.advancedToggle.checked = advancedMode;
+  renderCustomCategoryOptions();
 
-  renderRecent();
+  renderPresetPicker();
+  saveSelectedSet(); // keeps ids migrated by loadSelectedSet
   ensureSelectionDefaults();
   renderAllUI();
+  renderOfflineBanner();
+  renderLaunch();
   bootFromUrl();
+  loadHistory();
   els.query.focus();
 
   // ---------------------------
   // Fun Letters Animation Setup
   // ---------------------------
+  // The letters are decoration: screen readers get the title from a hidden copy.
   const h1 = document.querySelector(".brand h1");
-  if (h1) {
+  if (h1 && !prefersReducedMotion()) {
     const text = h1.textContent;
-    h1.innerHTML = "";
     // Split text but keep spaces
-    [...text].forEach((char, i) => {
-      const span = document.createElement("span");
-      span.textContent = char;
-      if (char === " ") {
-        span.style.width = "0.3em";
-        span.style.display = "inline-block";
-      } else {
-        span.className = "fun-letter";
-        // Randomize delay slightly for organic feel
-        span.style.animationDelay = `${(i * 0.1) + (Math.random() * 0.2)}s`;
-      }
-      h1.appendChild(span);
+    const letters = [...text].map((char, i) => {
+      if (char === " ") return el("span", { className: "fun-space", text: char });
+      const span = el("span", { className: "fun-letter", text: char });
+      // Randomize delay slightly for organic feel
+      span.style.animationDelay = `${(i * 0.1) + (Math.random() * 0.2)}s`;
+      return span;
     });
+    h1.replaceChildren(
+      el("span", { className: "srOnly", text }),
+      el("span", { attrs: { "aria-hidden": "true" } }, letters)
+    );
   }
 
   // Service worker
-  if ("serviceWorker" in navigator) {
-    navigator.serviceWorker.register("service-worker.js").then(() => {
-      els.swStatus.textContent = "Offline-ready";
-    }).catch(() => {
-      els.swStatus.textContent = "";
-    });
-  }
+  if ("serviceWorker" in navigator) registerServiceWorker();
 })();
 
@@ -0,0 +1,71 @@
+/* GM Video Finder AI — safe DOM building
+ * Every renderer builds its DOM through `el`, never through HTML strings, so queries,
+ * platform names and imported data can only ever end up as text.
+ * - Event handlers, style, srcdoc and innerHTML / outerHTML are refused, as props or attrs
+ * - URL props and attrs (href, src, action, formAction, poster) only take http(s) URLs
+ *   or well-formed https app intents
+ * - Browser: window.GMDom / Node: module.exports (checked by tools/xss-check.js)
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory(root);
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMDom = api;
+})(typeof self !== "undefined" ? self : this, function (root) {
+  "use strict";
+
+  const UNSAFE_NAME = /^(on|style$|srcdoc$|innerHTML$|outerHTML$)/i;
+  const URL_NAME = /^(href|src|action|formAction|poster)$/i;
+
+  /**
+   *   el("a", { className: "linkCard", href: url, on: { click } }, [name, " • ", note])
+   * props: text, className, attrs, dataset, on, plus plain DOM properties (type, value, checked, ...).
+   * children: nodes or strings (strings become text nodes); null / false are skipped.
+   */
+  function el(tag, props = {}, children = []) {
+    const node = root.document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      if (key === "text") node.textContent = value;
+      else if (key === "attrs") Object.entries(value).forEach(([name, v]) => setSafeAttribute(node, name, v));
+      else if (key === "dataset") Object.assign(node.dataset, value);
+      else if (key === "on") Object.entries(value).forEach(([event, handler]) => node.addEventListener(event, handler));
+      else if (UNSAFE_NAME.test(key)) throw new Error(`el(): "${key}" is not allowed`);
+      else if (URL_NAME.test(key)) node[key] = safeUrl(value);
+      else node[key] = value;
+    });
+    node.append(...[].concat(children).filter(c => c !== null && c !== undefined && c !== false));
+    return node;
+  }
+
+  function setSafeAttribute(node, name, value) {
+    if (UNSAFE_NAME.test(name)) throw new Error(`el(): attribute "${name}" is not allowed`);
+    node.setAttribute(name, URL_NAME.test(name) ? safeUrl(value) : String(value));
+  }
+
+  /**
+   * Only http(s) links leave the app; javascript:, data: and the like become "#".
+   * Android app links pass too, as long as they only name an https URL, a package and
+   * an http(s) fallback (see intentUrl in app.js).
+   */
+  function safeUrl(url) {
+    try {
+      const base = root.location ? root.location.href : undefined;
+      const parsed = new URL(url, base);
+      if (parsed.protocol === "https:" || parsed.protocol === "http:") return parsed.href;
+      return parsed.protocol === "intent:" && isSafeIntent(String(url)) ? String(url) : "#";
+    } catch {
+      return "#";
+    }
+  }
+
+  const INTENT_FIELD_RE = /^(scheme=https|package=[a-z][\w.]*|S\.browser_fallback_url=https?%3A%2F%2F[^;]*)$/i;
+
+  function isSafeIntent(url) {
+    const m = /^intent:\/\/[^#;]+#Intent;(.*);end$/i.exec(url);
+    return !!m && m[1].split(";").every(field => INTENT_FIELD_RE.test(field)) && m[1].includes("scheme=https");
+  }
+
+  return { el, setSafeAttribute, safeUrl, isSafeIntent };
+});
@@ -0,0 +1,178 @@
+/* GM Video Finder AI — platform catalog
+ * Every built-in platform as plain data, checked by tools/validate-platforms.js.
+ * - Ids are stable: never rename or reuse one; add the old id to `aliases` instead
+ * - Retired services stay listed with `deprecated` (and `redirect` when they moved)
+ * - Browser: window.GMPlatforms / Node: module.exports
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMPlatforms = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CATEGORIES = [
+    { id: "all", label: "All" },
+    { id: "ott", label: "🎬 OTT" },
+    { id: "shorts", label: "📱 Shorts" },
+    { id: "education", label: "🎓 Education" },
+    { id: "news", label: "📰 News" },
+    { id: "social", label: "💬 Social / Discussion" },
+    { id: "gaming", label: "🎮 Gaming" }
+  ];
+
+  // Engines the app has date and locale parameters for (RECENCY_PARAMS / LOCALE_PARAMS in app.js).
+  const ENGINES = ["google", "bing", "ddg", "youtube", "reddit"];
+
+  /**
+   * Entry shape:
+   * { id, name, category, icon, hint?, url | site, engine?, syntax?, append?,
+   *   regions, tags, aliases?, deprecated?, redirect?, app? }
+   * url: search URL with {q} where the encoded query goes.
+   * site: domain (optionally with a path) searched through Google "site:"; these are
+   *   "full" syntax on the google engine and default to the hint "via Google site search".
+   * engine: adds that engine's date and locale parameters to `url`.
+   * syntax: "full" when the engine understands "quoted phrases" and -exclusions.
+   * append: words added to every query (e.g. "#shorts").
+   * regions: "IN" for India-focused services, "global" otherwise.
+   * aliases: other ids and names this platform answers to (old saved ids, on: names).
+   * deprecated: why the platform is retired; redirect: the id that replaces it.
+   * app: { android?, url? } for opening the native app on phones. android is the app's
+   *   package; url is the site's own search (with {q}), needed when the entry is a site search.
+   */
+  const PLATFORMS = [
+    // Video / global
+    { id: "youtube", name: "YouTube", category: "all", icon: "YT", hint: "Videos + creators", url: "https://www.youtube.com/results?search_query={q}", engine: "youtube", syntax: "full", app: { android: "com.google.android.youtube" }, regions: ["global"], tags: ["video", "creators"], aliases: ["yt"] },
+    { id: "yt_shorts", name: "YouTube Shorts", category: "shorts", icon: "YS", hint: "Shorts feed", url: "https://www.youtube.com/results?search_query={q}", engine: "youtube", syntax: "full", append: "#shorts", app: { android: "com.google.android.youtube" }, regions: ["global"], tags: ["video", "short-form"] },
+    { id: "vimeo", name: "Vimeo", category: "all", icon: "VI", hint: "High-quality videos", url: "https://vimeo.com/search?q={q}", regions: ["global"], tags: ["video"] },
+    { id: "dailymotion", name: "Dailymotion", category: "all", icon: "DM", hint: "Video search", url: "https://www.dailymotion.com/search/{q}/videos", regions: ["global"], tags: ["video"] },
+    { id: "rumble", name: "Rumble", category: "all", icon: "RU", hint: "Video platform", url: "https://rumble.com/search/all?q={q}", regions: ["global"], tags: ["video"] },
+
+    // OTT (India-focused, mostly via site search)
+    { id: "hotstar", name: "Hotstar", category: "ott", icon: "HS", site: "hotstar.com", app: { url: "https://www.hotstar.com/in/explore?search_query={q}", android: "in.startv.hotstar" }, regions: ["IN"], tags: ["streaming", "movies", "sports"], aliases: ["disney_hotstar"] },
+    { id: "jiocinema", name: "JioCinema", category: "ott", icon: "JC", site: "jiocinema.com", regions: ["IN"], tags: ["streaming", "movies", "sports"] },
+    { id: "sony_liv", name: "Sony LIV", category: "ott", icon: "SL", site: "sonyliv.com", regions: ["IN"], tags: ["streaming", "movies", "sports"], aliases: ["sonyliv"] },
+    { id: "zee5", name: "ZEE5", category: "ott", icon: "Z5", site: "zee5.com", regions: ["IN"], tags: ["streaming", "movies"] },
+    { id: "voot", name: "Voot", category: "ott", icon: "VT", site: "voot.com", regions: ["IN"], tags: ["streaming"], deprecated: "Voot shut down in 2023; its shows moved to JioCinema.", redirect: "jiocinema" },
+    { id: "mxplayer", name: "MX Player", category: "ott", icon: "MX", site: "mxplayer.in", regions: ["IN"], tags: ["streaming", "movies"] },
+    { id: "primevideo", name: "Prime Video", category: "ott", icon: "PV", site: "primevideo.com", regions: ["global"], tags: ["streaming", "movies"], aliases: ["prime", "amazon_prime"] },
+    { id: "netflix", name: "Netflix", category: "ott", icon: "NF", site: "netflix.com", app: { url: "https://www.netflix.com/search?q={q}", android: "com.netflix.mediaclient" }, regions: ["global"], tags: ["streaming", "movies"] },
+    { id: "aha", name: "Aha", category: "ott", icon: "AH", site: "aha.video", regions: ["IN"], tags: ["streaming", "movies", "telugu", "tamil"] },
+    { id: "sunnxt", name: "Sun NXT", category: "ott", icon: "SN", site: "sunnxt.com", regions: ["IN"], tags: ["streaming", "movies", "tamil"] },
+    { id: "hoichoi", name: "Hoichoi", category: "ott", icon: "HC", site: "hoichoi.tv", regions: ["IN"], tags: ["streaming", "bengali"] },
+    { id: "jiosaavn", name: "JioSaavn (music video)", category: "ott", icon: "JS", site: "jiosaavn.com", regions: ["IN"], tags: ["music"] },
+    { id: "lionsgate_play", name: "Lionsgate Play", category: "ott", icon: "LG", site: "lionsgateplay.com", regions: ["IN"], tags: ["streaming", "movies"], aliases: ["site_0_lionsgate_play"] },
+    { id: "apple_tv", name: "Apple TV", category: "ott", icon: "ATV", site: "appletv.apple.com", regions: ["global"], tags: ["streaming", "movies"], aliases: ["site_1_apple_tv"] },
+    { id: "youtube_india", name: "YouTube (India trending)", category: "ott", icon: "YI", site: "youtube.com", regions: ["IN"], tags: ["video", "trending"], aliases: ["site_2_youtube_india_trending_"] },
+    { id: "justwatch", name: "JustWatch (India)", category: "ott", icon: "JW", site: "justwatch.com", regions: ["IN"], tags: ["streaming", "guide"], aliases: ["site_3_justwatch_india_"] },
+
+    // Shorts / social video
+    { id: "instagram", name: "Instagram", category: "shorts", icon: "IG", hint: "Reels & posts", url: "https://www.instagram.com/explore/search/keyword/?q={q}", app: { android: "com.instagram.android" }, regions: ["global"], tags: ["short-form", "social"], aliases: ["insta", "reels"] },
+    { id: "facebook_watch", name: "Facebook Watch", category: "shorts", icon: "FB", hint: "Watch search", url: "https://www.facebook.com/watch/search/?q={q}", app: { android: "com.facebook.katana" }, regions: ["global"], tags: ["video", "social"], aliases: ["facebook", "fb"] },
+    { id: "snapchat", name: "Snapchat Spotlight", category: "shorts", icon: "SC", site: "snapchat.com", append: "spotlight", regions: ["global"], tags: ["short-form"] },
+    { id: "tiktok", name: "TikTok", category: "shorts", icon: "TT", hint: "Short videos", url: "https://www.tiktok.com/search?q={q}", app: { android: "com.zhiliaoapp.musically" }, regions: ["global"], tags: ["short-form"] },
+    { id: "sharechat", name: "ShareChat", category: "shorts", icon: "SH", site: "sharechat.com", regions: ["IN"], tags: ["short-form", "social"] },
+    { id: "moj", name: "Moj", category: "shorts", icon: "MJ", site: "mojapp.in", regions: ["IN"], tags: ["short-form"] },
+    { id: "josh", name: "Josh", category: "shorts", icon: "JO", site: "myjosh.in", regions: ["IN"], tags: ["short-form"] },
+    { id: "chingari", name: "Chingari", category: "shorts", icon: "CH", site: "chingari.io", regions: ["IN"], tags: ["short-form"] },
+    { id: "roposo", name: "Roposo", category: "shorts", icon: "RP", site: "roposo.com", regions: ["IN"], tags: ["short-form"] },
+    { id: "mitron", name: "Mitron", category: "shorts", icon: "MI", site: "mitron.tv", regions: ["IN"], tags: ["short-form"], deprecated: "Mitron is no longer available." },
+    { id: "threads", name: "Threads", category: "shorts", icon: "THR", site: "threads.net", regions: ["global"], tags: ["social"], aliases: ["site_4_threads"] },
+
+    // Social / discussion
+    { id: "x", name: "X (Twitter)", category: "social", icon: "X", hint: "Posts & videos", url: "https://x.com/search?q={q}&src=typed_query", app: { android: "com.twitter.android" }, regions: ["global"], tags: ["social", "news"], aliases: ["twitter"] },
+    { id: "reddit", name: "Reddit", category: "social", icon: "RD", hint: "Communities", url: "https://www.reddit.com/search/?q={q}", engine: "reddit", app: { android: "com.reddit.frontpage" }, regions: ["global"], tags: ["discussion"] },
+    { id: "quora", name: "Quora", category: "social", icon: "Q", hint: "Q&A", url: "https://www.quora.com/search?q={q}", regions: ["global"], tags: ["discussion"] },
+    { id: "medium", name: "Medium", category: "social", icon: "ME", hint: "Articles", url: "https://medium.com/search?q={q}", regions: ["global"], tags: ["articles"] },
+    { id: "pinterest", name: "Pinterest", category: "social", icon: "PI", hint: "Ideas & videos", url: "https://www.pinterest.com/search/pins/?q={q}", regions: ["global"], tags: ["ideas", "video"] },
+    { id: "linkedin", name: "LinkedIn", category: "social", icon: "LI", site: "linkedin.com", regions: ["global"], tags: ["professional"], aliases: ["site_5_linkedin"] },
+    { id: "telegram", name: "Telegram", category: "social", icon: "TG", site: "telegram.org", regions: ["global"], tags: ["messaging"], aliases: ["site_6_telegram"] },
+    { id: "whatsapp_channels", name: "WhatsApp Channels", category: "social", icon: "WA", site: "whatsapp.com", regions: ["global"], tags: ["messaging"], aliases: ["site_7_whatsapp_channels", "whatsapp"] },
+
+    // Education
+    { id: "khan", name: "Khan Academy", category: "education", icon: "KA", hint: "Learning videos", site: "khanacademy.org", regions: ["global"], tags: ["courses", "school"], aliases: ["khanacademy"] },
+    { id: "nptel", name: "NPTEL", category: "education", icon: "NP", hint: "Courses", site: "nptel.ac.in", regions: ["IN"], tags: ["courses", "engineering"] },
+    { id: "swayam", name: "SWAYAM", category: "education", icon: "SW", hint: "Gov courses", site: "swayam.gov.in", regions: ["IN"], tags: ["courses"] },
+    { id: "unacademy", name: "Unacademy", category: "education", icon: "UA", site: "unacademy.com", regions: ["IN"], tags: ["exams"] },
+    { id: "byjus", name: "BYJU'S", category: "education", icon: "BJ", site: "byjus.com", regions: ["IN"], tags: ["school", "exams"] },
+    { id: "coursera", name: "Coursera", category: "education", icon: "CO", hint: "Courses", url: "https://www.coursera.org/search?query={q}", regions: ["global"], tags: ["courses"] },
+    { id: "udemy", name: "Udemy", category: "education", icon: "UD", hint: "Courses", url: "https://www.udemy.com/courses/search/?q={q}", regions: ["global"], tags: ["courses"] },
+    { id: "edx", name: "edX", category: "education", icon: "EX", hint: "Courses", url: "https://www.edx.org/search?q={q}", regions: ["global"], tags: ["courses"] },
+    { id: "vedantu", name: "Vedantu", category: "education", icon: "VE", site: "vedantu.com", regions: ["IN"], tags: ["school", "exams"], aliases: ["site_8_vedantu"] },
+    { id: "toppr", name: "Toppr", category: "education", icon: "TP", site: "toppr.com", regions: ["IN"], tags: ["school"], aliases: ["site_9_toppr"] },
+    { id: "skillshare", name: "Skillshare", category: "education", icon: "SS", site: "skillshare.com", regions: ["global"], tags: ["courses", "creative"], aliases: ["site_10_skillshare"] },
+    { id: "freecodecamp", name: "freeCodeCamp", category: "education", icon: "FC", site: "freecodecamp.org", regions: ["global"], tags: ["coding"], aliases: ["site_11_freecodecamp"] },
+    { id: "geeksforgeeks", name: "GeeksforGeeks", category: "education", icon: "GG", site: "geeksforgeeks.org", regions: ["IN"], tags: ["coding"], aliases: ["site_12_geeksforgeeks", "gfg"] },
+
+    // News
+    { id: "aajtak", name: "Aaj Tak", category: "news", icon: "AT", site: "aajtak.in", regions: ["IN"], tags: ["hindi"] },
+    { id: "ndtv", name: "NDTV", category: "news", icon: "ND", site: "ndtv.com", regions: ["IN"], tags: ["english", "hindi"] },
+    { id: "indiatoday", name: "India Today", category: "news", icon: "IT", site: "indiatoday.in", regions: ["IN"], tags: ["english"] },
+    { id: "abp", name: "ABP", category: "news", icon: "AB", site: "abplive.com", regions: ["IN"], tags: ["hindi"] },
+    { id: "zeenews", name: "Zee News", category: "news", icon: "ZN", site: "zeenews.india.com", regions: ["IN"], tags: ["hindi"] },
+    { id: "timesofindia", name: "Times of India", category: "news", icon: "TO", site: "timesofindia.indiatimes.com", regions: ["IN"], tags: ["english"], aliases: ["toi"] },
+    { id: "hindustantimes", name: "Hindustan Times", category: "news", icon: "HT", site: "hindustantimes.com", regions: ["IN"], tags: ["english"] },
+    { id: "thehindu", name: "The Hindu", category: "news", icon: "TH", site: "thehindu.com", regions: ["IN"], tags: ["english"] },
+    { id: "bbc_hindi", name: "BBC Hindi", category: "news", icon: "BH", site: "bbc.com/hindi", regions: ["IN"], tags: ["hindi"] },
+    { id: "republic_world", name: "Republic World", category: "news", icon: "RW", site: "republicworld.com", regions: ["IN"], tags: ["english"], aliases: ["site_13_republic_world"] },
+    { id: "firstpost", name: "Firstpost", category: "news", icon: "FP", site: "firstpost.com", regions: ["IN"], tags: ["english"], aliases: ["site_14_firstpost"] },
+    { id: "theprint", name: "The Print", category: "news", icon: "PR", site: "theprint.in", regions: ["IN"], tags: ["english"], aliases: ["site_15_the_print"] },
+    { id: "economictimes", name: "Economic Times", category: "news", icon: "ET", site: "economictimes.indiatimes.com", regions: ["IN"], tags: ["english", "business"], aliases: ["site_16_economic_times"] },
+    { id: "livemint", name: "Mint", category: "news", icon: "LM", site: "livemint.com", regions: ["IN"], tags: ["english", "business"], aliases: ["site_17_mint"] },
+    { id: "news18", name: "News18", category: "news", icon: "N18", site: "news18.com", regions: ["IN"], tags: ["english", "hindi"], aliases: ["site_18_news18"] },
+
+    // Gaming
+    { id: "twitch", name: "Twitch", category: "gaming", icon: "TW", hint: "Streams & clips", url: "https://www.twitch.tv/search?term={q}", app: { android: "tv.twitch.android.app" }, regions: ["global"], tags: ["streams"] },
+    { id: "loco", name: "Loco", category: "gaming", icon: "LO", site: "loco.gg", regions: ["IN"], tags: ["streams"] },
+    { id: "rooter", name: "Rooter", category: "gaming", icon: "RT", site: "rooter.gg", regions: ["IN"], tags: ["streams"] },
+    { id: "kick", name: "Kick", category: "gaming", icon: "KI", hint: "Streams", site: "kick.com", regions: ["global"], tags: ["streams"] },
+    { id: "youtube_gaming", name: "YouTube Gaming", category: "gaming", icon: "YG", site: "youtube.com/gaming", regions: ["global"], tags: ["streams", "video"], aliases: ["site_19_youtube_gaming"] },
+    { id: "steam_community", name: "Steam Community", category: "gaming", icon: "ST", site: "steamcommunity.com", regions: ["global"], tags: ["community"], aliases: ["site_20_steam_community", "steam"] },
+    { id: "reddit_indiangaming", name: "IndianGaming (Reddit)", category: "gaming", icon: "RIG", site: "reddit.com/r/IndianGaming", regions: ["IN"], tags: ["discussion"], aliases: ["site_21_indiangaming_reddit_"] },
+
+    // Search engines (filtered web / video results)
+    { id: "google_web", name: "Google Search", category: "all", icon: "G", hint: "Web results", url: "https://www.google.com/search?q={q}", engine: "google", syntax: "full", regions: ["global"], tags: ["web"] },
+    { id: "google_videos", name: "Google Videos", category: "all", icon: "GV", hint: "Video results", url: "https://www.google.com/search?tbm=vid&q={q}", engine: "google", syntax: "full", regions: ["global"], tags: ["video"] },
+    { id: "bing_videos", name: "Bing Videos", category: "all", icon: "BV", hint: "Video results", url: "https://www.bing.com/videos/search?q={q}", engine: "bing", syntax: "full", regions: ["global"], tags: ["video"], aliases: ["bing"] },
+    { id: "ddg_videos", name: "DuckDuckGo Videos", category: "all", icon: "DV", hint: "Video results", url: "https://duckduckgo.com/?q={q}&iax=videos&ia=videos", engine: "ddg", syntax: "full", regions: ["global"], tags: ["video"], aliases: ["ddg", "duckduckgo"] }
+  ];
+
+  const byId = new Map(PLATFORMS.map(p => [p.id, p]));
+  const byAlias = new Map();
+  PLATFORMS.forEach(p => (p.aliases || []).forEach(a => byAlias.set(a, p.id)));
+
+  /**
+   * The current id for a saved or typed id: itself, the platform it's an alias of,
+   * or where a retired platform redirects to. null when nothing replaces it.
+   */
+  function resolveId(id) {
+    let entry = byId.get(id) || byId.get(byAlias.get(id));
+    const seen = new Set();
+    while (entry && entry.deprecated) {
+      if (!entry.redirect || seen.has(entry.id)) return null;
+      seen.add(entry.id);
+      entry = byId.get(entry.redirect);
+    }
+    return entry ? entry.id : null;
+  }
+
+  function siteSearchUrl(domain, text) {
+    return `https://www.google.com/search?q=${encodeURIComponent(`site:${domain} ${text}`)}`;
+  }
+
+  /** The entry's search URL for `text`, before any engine date/locale parameters. */
+  function searchUrl(entry, text) {
+    const query = entry.append ? `${text} ${entry.append}` : text;
+    if (entry.site) return siteSearchUrl(entry.site, query);
+    return entry.url.split("{q}").join(encodeURIComponent(query));
+  }
+
+  /** The site's own https search URL for `text`, which its app can open (see `app`). */
+  function appSearchUrl(entry, text) {
+    return entry.app && entry.app.url ? searchUrl({ url: entry.app.url, append: entry.append }, text) : searchUrl(entry, text);
+  }
+
+  return { CATEGORIES, ENGINES, PLATFORMS, resolveId, siteSearchUrl, searchUrl, appSearchUrl };
+});
@@ -0,0 +1,219 @@
+/* GM Video Finder AI — result providers
+ * Fetches real videos (title, thumbnail, duration, channel, link) for the in-app preview.
+ * - One provider per source with a public feed or API; each turns its response into the same item shape
+ * - Endpoints can be swapped per call (fixture servers in tools/check-providers.js, or a proxy)
+ * - A provider that fails is reported, never thrown, so the app can fall back to its search link
+ * - No YouTube provider: its RSS feeds (feeds/videos.xml) list a channel or playlist, never search
+ *   results, and send no CORS headers, so YouTube keeps its usual search link
+ * - Browser: window.GMProviders / Node: module.exports
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMProviders = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_TIMEOUT_MS = 8000;
+  const MAX_ITEMS = 20;
+
+  /**
+   * Item shape (every provider):
+   * { provider, id, title, url, thumbnail, duration, channel, published }
+   * duration: seconds or null. published: ms since epoch or null. thumbnail: https URL or null.
+   */
+
+  // ---------------------------
+  // Parsing helpers
+  // ---------------------------
+  function httpsUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === "https:" ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const seconds = v => (Number.isFinite(v) && v > 0 ? Math.round(v) : null);
+
+  // ---------------------------
+  // Providers
+  // ---------------------------
+  /**
+   * { id, platform, name, endpoint, request(endpoint, query), parse(json) }
+   * platform: the catalog id whose search link stands in when the provider fails.
+   * endpoint: the default, replaceable per call (options.endpoints).
+   */
+  const PROVIDERS = [
+    {
+      id: "reddit",
+      platform: "reddit",
+      name: "Reddit",
+      endpoint: "https://www.reddit.com/search.json",
+      request: (endpoint, query) => withParams(endpoint, {
+        q: query, type: "link", sort: "relevance", limit: 50, raw_json: 1, include_over_18: "off"
+      }),
+      parse: parseRedditListing
+    },
+    {
+      id: "dailymotion",
+      platform: "dailymotion",
+      name: "Dailymotion",
+      endpoint: "https://api.dailymotion.com/videos",
+      request: (endpoint, query) => withParams(endpoint, {
+        search: query,
+        fields: "id,title,url,thumbnail_360_url,duration,owner.screenname,created_time",
+        limit: MAX_ITEMS,
+        family_filter: "true"
+      }),
+      parse: parseDailymotionList
+    }
+  ];
+
+  function withParams(endpoint, params) {
+    const url = new URL(endpoint);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    return url.href;
+  }
+
+  // Reddit search listing; only video posts (hosted or linked) and never NSFW ones.
+  function parseRedditListing(data) {
+    if (!data || !data.data || !Array.isArray(data.data.children)) throw new Error("not a Reddit listing");
+    return data.data.children
+      .map(child => child && child.data)
+      .filter(post => post && !post.over_18 && (post.is_video || /video/.test(post.post_hint || "")))
+      .map(post => {
+        const hosted = post.media && post.media.reddit_video;
+        const preview = post.preview && post.preview.images && post.preview.images[0];
+        return {
+          provider: "reddit",
+          id: String(post.id || ""),
+          title: String(post.title || ""),
+          // Linked videos point at their source so they merge with that source's own results.
+          url: httpsUrl(post.is_video ? `https://www.reddit.com${post.permalink}` : post.url_overridden_by_dest || post.url),
+          thumbnail: httpsUrl(preview && preview.source ? preview.source.url : post.thumbnail),
+          duration: seconds(hosted ? hosted.duration : NaN),
+          channel: post.subreddit ? `r/${post.subreddit}` : null,
+          published: post.created_utc ? post.created_utc * 1000 : null
+        };
+      });
+  }
+
+  function parseDailymotionList(data) {
+    if (!data || !Array.isArray(data.list)) throw new Error("not a Dailymotion list");
+    return data.list.map(video => ({
+      provider: "dailymotion",
+      id: String(video.id || ""),
+      title: String(video.title || ""),
+      url: httpsUrl(video.url) || (video.id ? `https://www.dailymotion.com/video/${encodeURIComponent(video.id)}` : null),
+      thumbnail: httpsUrl(video.thumbnail_360_url),
+      duration: seconds(video.duration),
+      channel: video["owner.screenname"] || null,
+      published: video.created_time ? video.created_time * 1000 : null
+    }));
+  }
+
+  // ---------------------------
+  // Fetching
+  // ---------------------------
+  const byId = new Map(PROVIDERS.map(p => [p.id, p]));
+
+  /**
+   * Fetch one provider. Resolves to { id, items } or { id, error }; never rejects.
+   * options: { endpoints: { [id]: url }, fetch, timeoutMs, signal }
+   */
+  async function fetchProvider(id, query, options = {}) {
+    const provider = byId.get(id);
+    if (!provider) return { id, error: "unknown provider" };
+    const endpoints = options.endpoints || {};
+    const endpoint = id in endpoints ? endpoints[id] : provider.endpoint;
+    if (!endpoint) return { id, error: "no endpoint configured" };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs || DEFAULT_TIMEOUT_MS);
+    const stop = () => controller.abort();
+    if (options.signal) options.signal.addEventListener("abort", stop);
+    try {
+      const doFetch = options.fetch || fetch;
+      const res = await doFetch(provider.request(endpoint, query), {
+        signal: controller.signal,
+        credentials: "omit",
+        headers: { Accept: "application/json" }
+      });
+      if (!res.ok) return { id, error: `HTTP ${res.status}` };
+      const items = provider.parse(await res.json()).filter(item => item.title && item.url).slice(0, MAX_ITEMS);
+      return { id, items };
+    } catch (err) {
+      if (controller.signal.aborted) return { id, error: options.signal && options.signal.aborted ? "cancelled" : "timed out" };
+      return { id, error: err && err.message ? err.message : "failed" };
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener("abort", stop);
+    }
+  }
+
+  /**
+   * Fetch several providers at once and merge their items.
+   * Resolves to { items, failed: [{ id, error }] }; items keep provider order, then each feed's order.
+   */
+  async function search(ids, query, options = {}) {
+    const results = await Promise.all(ids.map(id => fetchProvider(id, query, options)));
+    return {
+      items: dedupe(results.flatMap(r => r.items || [])),
+      failed: results.filter(r => r.error).map(r => ({ id: r.id, error: r.error }))
+    };
+  }
+
+  // ---------------------------
+  // Dedup
+  // ---------------------------
+  /** The same video under any of its URLs: youtube:ID, dailymotion:ID, or the URL without noise. */
+  function videoKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return String(url);
+    }
+    const host = parsed.hostname.replace(/^(www|m)\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+    if (host === "youtube.com" && parsed.searchParams.get("v")) return `youtube:${parsed.searchParams.get("v")}`;
+    if (host === "youtube.com" && /^\/(shorts|embed|live)\/[\w-]+$/.test(path)) return `youtube:${path.split("/")[2]}`;
+    if (host === "youtu.be" && path) return `youtube:${path.slice(1)}`;
+    if (host === "dailymotion.com" && /^\/video\/\w+/.test(path)) return `dailymotion:${path.split("/")[2].split("_")[0]}`;
+    if (host === "dai.ly" && path) return `dailymotion:${path.slice(1)}`;
+    return `${host}${path}`.toLowerCase();
+  }
+
+  // The first copy of a video wins; later copies only fill in what it's missing.
+  function dedupe(items) {
+    const seen = new Map();
+    items.forEach(item => {
+      const key = videoKey(item.url);
+      const first = seen.get(key);
+      if (!first) {
+        seen.set(key, { ...item });
+        return;
+      }
+      ["thumbnail", "duration", "channel", "published"].forEach(field => {
+        if (first[field] === null || first[field] === undefined) first[field] = item[field];
+      });
+    });
+    return [...seen.values()];
+  }
+
+  /** 75 → "1:15", 3725 → "1:02:05". */
+  function formatDuration(total) {
+    if (!Number.isFinite(total) || total <= 0) return "";
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = Math.floor(total % 60);
+    const pad = n => String(n).padStart(2, "0");
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+  }
+
+  return { PROVIDERS, fetchProvider, search, dedupe, videoKey, formatDuration };
+});
@@ -0,0 +1,247 @@
+/* GM Video Finder AI — ranking engine
+ * Scores platforms for a query and explains every point it gives.
+ * - Word-boundary matching (no more "x" matching every id with an x)
+ * - Configurable weights, synonyms and multilingual intent keywords
+ * - Pluggable rules: each rule returns the reasons it adds points for
+ * - Browser: window.GMRanking / Node: module.exports
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMRanking = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_WEIGHTS = {
+    general: 5, // platforms in the "all" category are relevant to most queries
+    exactName: 200, // query is the platform's name
+    nameMatch: 100, // query mentions the platform (full name, id, alias or synonym)
+    intent: 50, // query words point at the platform's category
+    trusted: 25 // official / popular platforms
+  };
+
+  /**
+   * Intent keywords per category. A trailing "*" matches any word starting with it
+   * (game* → games, gaming); anything else must match a whole word.
+   * Romanized and native-script words cover the languages in the app.
+   */
+  const DEFAULT_INTENTS = [
+    {
+      category: "news",
+      keywords: [
+        "news", "update*", "headline*", "daily", "paper", "report*", "anchor*", "breaking", "bulletin",
+        "khabar", "samachar", "seithi*", "vartha*",
+        "समाचार", "ख़बर", "खबर", "बातम्या", "செய்தி*", "వార్త*", "ವಾರ್ತೆ*", "വാർത്ത*", "খবর", "সংবাদ"
+      ]
+    },
+    {
+      category: "gaming",
+      keywords: [
+        "game*", "gaming", "gamer*", "stream*", "live", "esport*", "twitch", "bgmi", "fps", "gameplay",
+        "minecraft", "freefire", "valorant", "pubg", "khel",
+        "गेम*", "खेल", "கேம்*", "గేమ్*", "ಗೇಮ್*", "ഗെയിം*", "গেম*"
+      ]
+    },
+    {
+      category: "education",
+      keywords: [
+        "learn*", "course*", "study", "studies", "tutorial*", "class*", "exam*", "grade*", "science", "math*",
+        "lecture*", "lesson*", "syllabus", "ncert", "upsc", "jee", "neet", "padhai", "shiksha",
+        "पढ़ाई", "शिक्षा", "परीक्षा", "கல்வி", "பாடம்", "చదువు", "ವಿದ್ಯೆ", "പഠനം", "পড়াশোনা", "শিক্ষা"
+      ]
+    },
+    {
+      category: "ott",
+      keywords: [
+        "movie*", "film*", "series", "episode*", "season*", "show*", "watch", "trailer*", "cinema", "serial*",
+        "webseries", "ott", "padam", "chitram", "sinima",
+        "फिल्म", "फ़िल्म", "सिनेमा", "धारावाहिक", "படம்", "சினிமா", "సినిమా", "ಸಿನಿಮಾ", "സിനിമ", "ছবি", "সিনেমা"
+      ]
+    },
+    {
+      category: "shorts",
+      keywords: [
+        "short*", "reel*", "tiktok", "clip*", "moment*", "status", "story", "stories", "viral", "meme*",
+        "रील*", "ரீல்*", "రీల్*", "ರೀಲ್*", "റീൽ*", "রিল*"
+      ]
+    },
+    {
+      category: "social",
+      keywords: [
+        "social", "post*", "tweet*", "discuss*", "forum*", "thread*", "message*", "opinion*", "review*",
+        "charcha", "चर्चा", "விவாதம்", "చర్చ", "ಚರ್ಚೆ", "ചർച്ച", "আলোচনা"
+      ]
+    }
+  ];
+
+  // Query word → the word the platform is known by.
+  const DEFAULT_SYNONYMS = {
+    yt: "youtube",
+    ytshorts: "youtube",
+    insta: "instagram",
+    ig: "instagram",
+    fb: "facebook",
+    twitter: "x",
+    tweets: "x",
+    prime: "primevideo",
+    amazon: "primevideo",
+    jio: "jiocinema",
+    sonyliv: "sony_liv",
+    disney: "hotstar",
+    khanacademy: "khan",
+    ddg: "duckduckgo",
+    toi: "timesofindia",
+    ht: "hindustantimes"
+  };
+
+  // Exact platform ids; no substring matching.
+  const DEFAULT_TRUSTED_IDS = [
+    "youtube", "google_web", "google_videos", "x", "instagram", "facebook_watch", "netflix", "hotstar",
+    "jiocinema", "timesofindia", "ndtv", "khan", "coursera", "udemy", "primevideo", "sony_liv", "zee5",
+    "reddit", "pinterest", "bbc_hindi", "linkedin", "apple_tv"
+  ];
+
+  // Platform names and ids that are also everyday words or names: in a longer query they mean the
+  // word ("medium rare steak", "shah rukh khan"), so only the exact name, an alias or a synonym counts.
+  const DEFAULT_COMMON_WORDS = ["aha", "josh", "khan", "kick", "loco", "medium", "mint", "rumble", "threads", "x"];
+
+  // Letters, combining marks (Indic vowel signs) and digits make up a word.
+  const WORD_RE = /[\p{L}\p{M}\p{N}]+/gu;
+
+  function tokenize(text) {
+    return (String(text || "").toLowerCase().match(WORD_RE) || []);
+  }
+
+  function keywordMatches(keyword, token) {
+    return keyword.endsWith("*") ? token.startsWith(keyword.slice(0, -1)) : token === keyword;
+  }
+
+  function containsSequence(tokens, seq) {
+    if (!seq.length || seq.length > tokens.length) return false;
+    for (let i = 0; i + seq.length <= tokens.length; i++) {
+      if (seq.every((t, j) => tokens[i + j] === t)) return true;
+    }
+    return false;
+  }
+
+  // ---------------------------
+  // Built-in rules
+  // ---------------------------
+  /**
+   * A rule gets the scoring context and returns a reason, a list of reasons or null.
+   * ctx: { platform, query, tokens, expanded, weights, config }
+   * reason: { rule, points, detail }
+   */
+  const RULES = {
+    general(ctx) {
+      if (ctx.platform.category !== "all") return null;
+      return { rule: "general", points: ctx.weights.general, detail: "General platform" };
+    },
+
+    name(ctx) {
+      const { platform, tokens, weights, config } = ctx;
+      const nameTokens = tokenize(platform.name);
+      const id = platform.id.toLowerCase();
+      const whole = tokens.join(" ");
+      if ((nameTokens.length && nameTokens.join(" ") === whole) || id === whole) {
+        return { rule: "exactName", points: weights.exactName, detail: `Query is "${platform.name}"` };
+      }
+      // The whole name, never one word of it ("India" is not "India Today").
+      const compact = nameTokens.join("");
+      const common = word => config.commonWords.includes(word);
+      const named = !(nameTokens.length === 1 && common(compact)) &&
+        (containsSequence(tokens, nameTokens) || tokens.includes(compact));
+      const byId = !common(id) && tokens.includes(id);
+      const byAlias = (platform.aliases || []).some(alias => containsSequence(tokens, tokenize(alias)));
+      const bySynonym = tokens.some(t => config.synonyms[t] === id || config.synonyms[t] === compact);
+      const mentioned = named || byId || byAlias || bySynonym;
+      if (!mentioned) return null;
+      return { rule: "nameMatch", points: weights.nameMatch, detail: `Query mentions ${platform.name}` };
+    },
+
+    intent(ctx) {
+      const { platform, expanded, weights, config } = ctx;
+      return config.intents
+        .filter(intent => intent.category === platform.category)
+        .map(intent => {
+          const hit = expanded.find(token => intent.keywords.some(k => keywordMatches(k, token)));
+          if (!hit) return null;
+          return { rule: "intent", points: weights.intent, detail: `"${hit}" suggests ${intent.category}` };
+        })
+        .filter(Boolean);
+    },
+
+    trusted(ctx) {
+      if (!ctx.config.trustedIds.includes(ctx.platform.id)) return null;
+      return { rule: "trusted", points: ctx.weights.trusted, detail: "Official / popular platform" };
+    }
+  };
+
+  const DEFAULT_RULES = [RULES.general, RULES.name, RULES.intent, RULES.trusted];
+
+  /**
+   * Build a ranker. Every option is optional and falls back to the defaults above:
+   * { weights, intents, synonyms, trustedIds, commonWords, rules }
+   * Extra rules can be appended with `rules: [...GMRanking.DEFAULT_RULES, myRule]`.
+   */
+  function createRanker(options = {}) {
+    const config = {
+      weights: { ...DEFAULT_WEIGHTS, ...(options.weights || {}) },
+      intents: options.intents || DEFAULT_INTENTS,
+      synonyms: { ...DEFAULT_SYNONYMS, ...(options.synonyms || {}) },
+      trustedIds: options.trustedIds || DEFAULT_TRUSTED_IDS,
+      commonWords: options.commonWords || DEFAULT_COMMON_WORDS,
+      rules: options.rules || DEFAULT_RULES
+    };
+
+    function expand(tokens) {
+      const out = [...tokens];
+      tokens.forEach(t => {
+        if (config.synonyms[t] && !out.includes(config.synonyms[t])) out.push(config.synonyms[t]);
+      });
+      return out;
+    }
+
+    /** Score one platform: { score, reasons } (score 0 with no reasons for an empty query). */
+    function score(platform, query) {
+      const tokens = tokenize(query);
+      if (!tokens.length) return { score: 0, reasons: [] };
+
+      const ctx = { platform, query, tokens, expanded: expand(tokens), weights: config.weights, config };
+      const reasons = config.rules
+        .flatMap(rule => [].concat(rule(ctx) || []))
+        .filter(r => r && r.points);
+      return { score: reasons.reduce((sum, r) => sum + r.points, 0), reasons };
+    }
+
+    /** Score and sort (highest first, ties keep input order): [{ platform, score, reasons }] */
+    function rank(platforms, query) {
+      return platforms
+        .map((platform, index) => ({ platform, index, ...score(platform, query) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...rest }) => rest);
+    }
+
+    return { config, score, rank };
+  }
+
+  /** One line per reason, e.g. "+50 "news" suggests news". */
+  function explain(reasons) {
+    return reasons.map(r => `${r.points > 0 ? "+" : ""}${r.points} ${r.detail}`).join("\n");
+  }
+
+  return {
+    DEFAULT_WEIGHTS,
+    DEFAULT_INTENTS,
+    DEFAULT_SYNONYMS,
+    DEFAULT_TRUSTED_IDS,
+    DEFAULT_COMMON_WORDS,
+    RULES,
+    DEFAULT_RULES,
+    tokenize,
+    createRanker,
+    explain
+  };
+});
@@ -1,46 +1,154 @@
-const CACHE_NAME = "gm-video-finder-v3";
-
-const FILES_TO_CACHE = [
-  "./",
-  "./index.html",
-  "./manifest.json",
-  "./gm-icon.svg",
-  "./styles.css",
-  "./app.js",
-  "./service-worker.js"
+importScripts("./suggestions.js");
+
+// precache:start (generated by tools/precache.js — do not edit by hand)
+const PRECACHE_VERSION = "18d338c0852c";
+const PRECACHE = [
+  { url: "./", revision: "8919570bc04e" },
+  { url: "./index.html", revision: "8919570bc04e" },
+  { url: "./manifest.json", revision: "819ca7a19cf7" },
+  { url: "./opensearch.xml", revision: "3e0d7ba3f6eb" },
+  { url: "./styles.css", revision: "9e20531a8e26" },
+  { url: "./splash.css", revision: "0440e0a5372e" },
+  { url: "./dom.js", revision: "6d45af33e1ea" },
+  { url: "./transliterate.js", revision: "9138a2388ea9" },
+  { url: "./ranking.js", revision: "88188d4baf80" },
+  { url: "./suggestions.js", revision: "7ea849193655" },
+  { url: "./platforms.js", revision: "39ffb03e0728" },
+  { url: "./providers.js", revision: "67e17e0df8f4" },
+  { url: "./app.js", revision: "51cd4566995a" },
+  { url: "./gm-icon.svg", revision: "3bfbb30bba96" },
+  { url: "./gm-icon-192.png", revision: "7c07a60bd7e9" },
+  { url: "./gm-icon-512.png", revision: "04bc9ae02834" }
 ];
+// precache:end
+
+// One cache per app version; the name changes whenever any asset changes.
+const CACHE_PREFIX = "gm-video-finder-";
+const CACHE_NAME = CACHE_PREFIX + PRECACHE_VERSION;
+const PRECACHE_URLS = new Set(PRECACHE.map(e => new URL(e.url, self.location).href));
 
-// Install
+// Install: fetch every asset fresh (bypassing the HTTP cache) into this version's cache.
+// The new worker then waits until the page asks it to take over (see "SKIP_WAITING").
 self.addEventListener("install", event => {
   event.waitUntil(
     caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(FILES_TO_CACHE);
+      return Promise.all(PRECACHE.map(async entry => {
+        const response = await fetch(new Request(entry.url, { cache: "reload" }));
+        if (!response.ok) throw new Error(`Precache failed: ${entry.url} (${response.status})`);
+        await cache.put(entry.url, response);
+      }));
     })
   );
-  self.skipWaiting();
 });
 
-// Activate
+// Activate: drop caches from older versions.
 self.addEventListener("activate", event => {
   event.waitUntil(
     caches.keys().then(keys => {
       return Promise.all(
-        keys.map(key => {
-          if (key !== CACHE_NAME) {
-            return caches.delete(key);
-          }
-        })
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
       );
-    })
+    }).then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
-// Fetch
+// Messages from the page
+async function cacheStatus() {
+  const cache = await caches.open(CACHE_NAME);
+  const keys = await cache.keys();
+  const cached = new Set(keys.map(req => req.url));
+  return {
+    type: "CACHE_STATUS",
+    version: PRECACHE_VERSION,
+    cached: [...PRECACHE_URLS].filter(url => cached.has(url)).length,
+    total: PRECACHE_URLS.size
+  };
+}
+
+self.addEventListener("message", event => {
+  const type = event.data && event.data.type;
+  if (type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (type === "CACHE_STATUS" && event.source) {
+    event.waitUntil(cacheStatus().then(status => event.source.postMessage(status)));
+  }
+});
+
+// Suggestions (opensearch.xml → suggest?q=...)
+// Only requests from the app's own pages reach the worker; browsers fetch address-bar
+// suggestions outside it, so those need a server (see tools/opensearch.js).
+// History lives in the page's IndexedDB database (see loadHistory in app.js).
+const HISTORY_DB = "gm-video-finder";
+
+function readHistory() {
+  return new Promise(resolve => {
+    const empty = { entries: [], pins: [] };
+    const req = indexedDB.open(HISTORY_DB);
+    // No database yet: don't create an empty one the page would then fail to upgrade.
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onerror = () => resolve(empty);
+    req.onsuccess = () => {
+      const db = req.result;
+      try {
+        const tx = db.transaction(["history", "pins"], "readonly");
+        const entries = tx.objectStore("history").getAll();
+        const pins = tx.objectStore("pins").getAll();
+        tx.oncomplete = () => { db.close(); resolve({ entries: entries.result, pins: pins.result }); };
+        tx.onerror = () => { db.close(); resolve(empty); };
+      } catch {
+        db.close();
+        resolve(empty);
+      }
+    };
+  });
+}
+
+async function suggestResponse(url) {
+  const input = url.searchParams.get("q") || "";
+  const list = self.GMSuggest.suggest(input, await readHistory());
+  return new Response(JSON.stringify(self.GMSuggest.toOpenSearch(input, list)), {
+    headers: { "Content-Type": "application/x-suggestions+json; charset=utf-8" }
+  });
+}
+
+// Stale-while-revalidate: answer from the cache at once, refresh the copy in the background.
+async function staleWhileRevalidate(event, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey);
+  const refresh = fetch(event.request).then(response => {
+    if (response.ok && response.type === "basic") return cache.put(cacheKey, response.clone()).then(() => response);
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Fetch: only our own GET requests; everything else goes straight to the network.
 self.addEventListener("fetch", event => {
-  event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
-    })
-  );
-});
\ No newline at end of file
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.endsWith("/suggest")) {
+    event.respondWith(suggestResponse(url));
+    return;
+  }
+
+  // Loads of the app page (?q=..., share targets, ...) all share one cached shell.
+  if (request.mode === "navigate" && /\/(index\.html)?$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, "./index.html"));
+    return;
+  }
+
+  const key = url.origin + url.pathname;
+  if (PRECACHE_URLS.has(key)) {
+    event.respondWith(staleWhileRevalidate(event, key));
+  }
+});
@@ -0,0 +1,88 @@
+/* GM Video Finder AI — search suggestions
+ * Shared by the page (trending chips) and the service worker (address-bar suggestions).
+ * - Pinned searches first, then past searches (frequent and recent), then trending shortcuts
+ * - Prefix matches beat matches later in the query
+ * - Browser / worker: self.GMSuggest / Node: module.exports
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMSuggest = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TRENDING_INDIA = [
+    { label: "IPL", q: "IPL highlights" },
+    { label: "Movies", q: "new movies trailer" },
+    { label: "Exams", q: "competitive exams tips" },
+    { label: "Tech", q: "latest tech India" },
+    { label: "News", q: "breaking news India" },
+    { label: "Cricket", q: "cricket best moments" },
+    { label: "Bollywood", q: "Bollywood songs" },
+    { label: "Jobs", q: "government jobs updates" }
+  ];
+
+  const DEFAULT_LIMIT = 8;
+
+  const normalize = text => String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+  // 0 = starts with the input, 1 = a later word starts with it, -1 = no match.
+  function matchRank(query, input) {
+    const q = normalize(query);
+    if (!input) return 0;
+    if (q.startsWith(input)) return 0;
+    return q.split(" ").some(word => word.startsWith(input)) ? 1 : -1;
+  }
+
+  /**
+   * Suggestions for `input`: an array of query strings, best first, no duplicates.
+   * entries: history entries { query, time }; pins: { query, time }.
+   */
+  function suggest(input, { entries = [], pins = [], trending = TRENDING_INDIA, limit = DEFAULT_LIMIT } = {}) {
+    const needle = normalize(input);
+
+    const rows = new Map();
+    entries.forEach(e => {
+      const key = normalize(e.query);
+      if (!key) return;
+      const row = rows.get(key) || { query: e.query, count: 0, last: 0 };
+      row.count += 1;
+      if (e.time >= row.last) {
+        row.last = e.time;
+        row.query = e.query;
+      }
+      rows.set(key, row);
+    });
+
+    const candidates = [
+      ...[...pins].sort((a, b) => b.time - a.time).map(p => ({ query: p.query, group: 0 })),
+      ...[...rows.values()]
+        .sort((a, b) => b.count - a.count || b.last - a.last)
+        .map(r => ({ query: r.query, group: 1 })),
+      ...trending.map(t => ({ query: t.q, group: 2 }))
+    ];
+
+    const seen = new Set();
+    return candidates
+      .map((c, index) => ({ ...c, index, rank: matchRank(c.query, needle) }))
+      .filter(c => c.rank >= 0 && normalize(c.query) !== needle)
+      .sort((a, b) => a.rank - b.rank || a.group - b.group || a.index - b.index)
+      .filter(c => {
+        const key = normalize(c.query);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(c => c.query);
+  }
+
+  /** OpenSearch suggestions format: [input, [completions]]. */
+  function toOpenSearch(input, list) {
+    return [String(input || ""), list];
+  }
+
+  return { TRENDING_INDIA, suggest, toOpenSearch };
+});
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — accessibility checks
+ * Checks index.html and the UI app.js renders, headless with plain Node (no browser, no packages):
+ *
+ *   node tools/a11y-check.js       exit 1 and list problems if any check fails
+ *
+ * The markup scan covers names for controls and images, dialog labelling, id references,
+ * live regions and tab order. Then the app is booted in tools/dom-shim.js to check what it
+ * renders: the platform toggles' labels, the search announcement and the split heading.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const shim = require("./dom-shim.js");
+
+const FILE = path.join(__dirname, "..", "index.html");
+const html = fs.readFileSync(FILE, "utf8").replace(/<!--[\s\S]*?-->/g, "");
+
+// ---------------------------
+// Minimal tag scanner (enough for our own hand-written markup)
+// ---------------------------
+const TAG_RE = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const ATTR_RE = /([^\s=>/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+function parseAttrs(text) {
+  const attrs = {};
+  let m;
+  while ((m = ATTR_RE.exec(text))) {
+    attrs[m[1].toLowerCase()] = m[2] === undefined ? "" : m[2].replace(/^["']|["']$/g, "");
+  }
+  return attrs;
+}
+
+const tags = [];
+let m;
+while ((m = TAG_RE.exec(html))) {
+  tags.push({ name: m[1].toLowerCase(), attrs: parseAttrs(m[2]), start: m.index, end: TAG_RE.lastIndex });
+}
+
+// Text between a tag and its closing tag (no nesting of the same element in our markup).
+function innerText(tag) {
+  const close = html.indexOf(`</${tag.name}>`, tag.end);
+  return close < 0 ? "" : html.slice(tag.end, close).replace(/<[^>]+>/g, "").replace(/&[a-z#0-9]+;/gi, "x").trim();
+}
+
+function within(tag, outerName) {
+  return tags.some(t => t.name === outerName && t.start < tag.start &&
+    html.indexOf(`</${outerName}>`, t.end) > tag.start);
+}
+
+const line = tag => html.slice(0, tag.start).split("\n").length;
+const describe = tag => `<${tag.name}${tag.attrs.id ? `#${tag.attrs.id}` : ""}> (line ${line(tag)})`;
+
+// ---------------------------
+// Checks
+// ---------------------------
+const problems = [];
+const fail = (tag, message) => problems.push(`${describe(tag)}: ${message}`);
+
+const ids = new Map();
+tags.filter(t => t.attrs.id).forEach(t => {
+  if (ids.has(t.attrs.id)) fail(t, `duplicate id "${t.attrs.id}"`);
+  ids.set(t.attrs.id, t);
+});
+const labelFor = new Set(tags.filter(t => t.name === "label" && t.attrs.for).map(t => t.attrs.for));
+
+const htmlTag = tags.find(t => t.name === "html");
+if (!htmlTag || !htmlTag.attrs.lang) problems.push("<html> needs a lang attribute");
+
+const hasName = t => t.attrs["aria-label"] || t.attrs["aria-labelledby"] || t.attrs.title;
+
+tags.forEach(t => {
+  ["aria-labelledby", "aria-describedby", "aria-controls"].forEach(attr => {
+    if (!(attr in t.attrs)) return;
+    t.attrs[attr].split(/\s+/).filter(Boolean).forEach(ref => {
+      if (!ids.has(ref)) fail(t, `${attr} points at missing id "${ref}"`);
+    });
+  });
+
+  if (Number(t.attrs.tabindex) > 0) fail(t, "positive tabindex breaks the tab order");
+
+  if (t.name === "img" && !("alt" in t.attrs)) fail(t, "image needs alt text (alt=\"\" if decorative)");
+
+  if (t.name === "button" && !innerText(t) && !hasName(t)) fail(t, "button has no accessible name");
+
+  if ((t.name === "input" && t.attrs.type !== "hidden") || t.name === "select" || t.name === "textarea") {
+    const labelled = hasName(t) || (t.attrs.id && labelFor.has(t.attrs.id)) || within(t, "label");
+    if (!labelled) fail(t, "form control has no label");
+  }
+
+  if (t.attrs.role === "dialog") {
+    if (!t.attrs["aria-labelledby"] && !t.attrs["aria-label"]) fail(t, "dialog needs aria-labelledby or aria-label");
+    if (t.attrs["aria-modal"] !== "true") fail(t, "modal dialog needs aria-modal=\"true\"");
+  }
+
+  if (t.attrs.role === "combobox" && !t.attrs["aria-controls"]) fail(t, "combobox needs aria-controls");
+});
+
+// Result updates must reach screen readers through a polite status region.
+const status = ids.get("resultsStatus");
+if (!status || (status.attrs.role !== "status" && status.attrs["aria-live"] !== "polite")) {
+  problems.push("#resultsStatus must be a polite live region (role=\"status\")");
+}
+const grid = ids.get("platformGrid");
+if (!grid || grid.attrs.role !== "group" || !grid.attrs["aria-labelledby"]) {
+  problems.push("#platformGrid must be a labelled group (role=\"group\" + aria-labelledby)");
+}
+["platformGrid", "results"].forEach(id => {
+  const el = ids.get(id);
+  if (el && el.attrs["aria-live"]) problems.push(`#${id} shouldn't be a live region; announce counts via #resultsStatus`);
+});
+
+// Motion: every stylesheet with animations needs a reduced-motion override somewhere.
+const css = ["styles.css", "splash.css"].map(f => fs.readFileSync(path.join(__dirname, "..", f), "utf8")).join("\n");
+if (/animation\s*:/.test(css) && !/prefers-reduced-motion:\s*reduce/.test(css)) {
+  problems.push("stylesheets animate but have no prefers-reduced-motion: reduce override");
+}
+
+// ---------------------------
+// Rendered UI (app.js in tools/dom-shim.js)
+// ---------------------------
+const SETTLE_MS = 800; // runSearch announces after a 500 ms "processing" delay
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// getElementById creates missing elements in the shim, so look ids up in the rendered tree.
+function findById(node, id) {
+  if (node.id === id) return node;
+  for (const child of node.children) {
+    const hit = findById(child, id);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// What a screen reader reads: text, minus aria-hidden subtrees.
+function spokenText(node) {
+  if (typeof node === "string") return node;
+  if (node.getAttribute("aria-hidden") === "true") return "";
+  return node.childNodes.length ? node.childNodes.map(spokenText).join("") : node.textContent;
+}
+
+async function checkRendered() {
+  const title = innerText(tags.find(t => t.name === "h1"));
+  const app = shim.boot({
+    setup: document => {
+      const brand = document.createElement("div");
+      const h1 = document.createElement("h1");
+      brand.className = "brand";
+      h1.textContent = title;
+      brand.append(h1);
+      document.body.append(brand);
+    }
+  });
+  const { document } = app;
+  app.errors.forEach(e => problems.push(`app.js: script error ${e}`));
+
+  const toggles = document.getElementById("platformGrid").querySelectorAll(".pToggle");
+  if (!toggles.length) problems.push("renderPlatformGrid rendered no .pToggle checkboxes");
+  toggles.forEach(toggle => {
+    const name = `.pToggle[data-id="${toggle.dataset.id}"]`;
+    ["aria-labelledby", "aria-describedby"].forEach(attr => {
+      const refs = (toggle.getAttribute(attr) || "").split(/\s+/).filter(Boolean);
+      if (!refs.length) problems.push(`${name} has no ${attr}`);
+      refs.forEach(ref => {
+        const target = findById(document.body, ref);
+        if (!target) problems.push(`${name}: ${attr} points at missing id "${ref}"`);
+        else if (!spokenText(target).trim()) problems.push(`${name}: ${attr} points at empty #${ref}`);
+      });
+    });
+  });
+
+  const status = document.getElementById("resultsStatus");
+  const before = status.textContent;
+  document.getElementById("query").value = "cricket news";
+  document.getElementById("searchBtn").click();
+  await sleep(SETTLE_MS);
+  if (status.textContent === before || !/cricket news/.test(status.textContent)) {
+    problems.push(`a search didn't update #resultsStatus (got ${JSON.stringify(status.textContent)})`);
+  }
+
+  // The animated heading is split into aria-hidden letters plus a hidden copy of the title.
+  const h1 = document.querySelector(".brand h1");
+  if (!h1.querySelector(".srOnly")) problems.push("the split <h1> lost its .srOnly copy of the title");
+  if (spokenText(h1).trim() !== title) {
+    problems.push(`the split <h1> reads as ${JSON.stringify(spokenText(h1))}, not ${JSON.stringify(title)}`);
+  }
+  app.timers.forEach(t => clearTimeout(t));
+  return toggles.length;
+}
+
+checkRendered().then(toggleCount => {
+  if (problems.length) {
+    console.error(`Accessibility checks failed (${problems.length}):`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  console.log(`Accessibility checks passed (${tags.length} elements in index.html, ${toggleCount} rendered toggles).`);
+  process.exit(0);
+});
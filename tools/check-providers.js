@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — result provider checks
+ * Runs the providers in providers.js against a local fixture server with plain Node (no packages):
+ *
+ *   node tools/check-providers.js           exit 1 and list problems if any check fails
+ *   node tools/check-providers.js --online  also query the real endpoints once
+ *
+ * Covers parsing into the shared item shape, request parameters (SafeSearch flags), NSFW
+ * filtering, dedup across providers, and that HTTP errors, bad bodies and timeouts come back
+ * as failures the app can fall back from.
+ */
+
+"use strict";
+
+const http = require("http");
+const providers = require("../providers.js");
+
+const QUERY = "cricket";
+
+// ---------------------------
+// Fixtures
+// ---------------------------
+const post = data => ({ kind: "t3", data });
+const REDDIT_LISTING = {
+  kind: "Listing",
+  data: {
+    children: [
+      post({
+        id: "r1", title: "Stadium view of the last ball", subreddit: "Cricket", permalink: "/r/Cricket/comments/r1/x/",
+        is_video: true, media: { reddit_video: { duration: 95 } }, created_utc: 1772000000,
+        preview: { images: [{ source: { url: "https://preview.redd.it/r1.jpg?width=640&s=abc" } }] }
+      }),
+      post({
+        id: "r2", title: "Winning six (YouTube)", subreddit: "Cricket", permalink: "/r/Cricket/comments/r2/x/",
+        post_hint: "rich:video", url_overridden_by_dest: "https://youtu.be/abc111", thumbnail: "https://b.thumbs.redditmedia.com/r2.jpg"
+      }),
+      post({
+        id: "r5", title: "Highlights (Dailymotion)", subreddit: "Cricket", permalink: "/r/Cricket/comments/r5/x/",
+        post_hint: "rich:video", url_overridden_by_dest: "https://dai.ly/x8aaa"
+      }),
+      post({ id: "r3", title: "NSFW clip", subreddit: "x", permalink: "/r/x/comments/r3/x/", is_video: true, over_18: true }),
+      post({ id: "r4", title: "Discussion thread", subreddit: "Cricket", permalink: "/r/Cricket/comments/r4/x/", thumbnail: "self" })
+    ]
+  }
+};
+
+const DAILYMOTION_LIST = {
+  page: 1,
+  list: [
+    { id: "x8aaa", title: "Cricket highlights", url: "https://www.dailymotion.com/video/x8aaa", thumbnail_360_url: "https://s1.dmcdn.net/v/x8aaa/x360", duration: 3725, "owner.screenname": "Sports Hub", created_time: 1772000000 },
+    { id: "x8bbb", title: "Press conference", url: "https://www.dailymotion.com/video/x8bbb", thumbnail_360_url: "http://insecure.example/x.jpg", duration: 0 }
+  ]
+};
+
+// ---------------------------
+// Fixture server
+// ---------------------------
+const requests = [];
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://fixtures");
+    requests.push(url);
+    const send = (status, type, body) => {
+      res.writeHead(status, { "Content-Type": type });
+      res.end(body);
+    };
+    switch (url.pathname) {
+      case "/reddit": return send(200, "application/json", JSON.stringify(REDDIT_LISTING));
+      case "/dailymotion": return send(200, "application/json", JSON.stringify(DAILYMOTION_LIST));
+      case "/error": return send(500, "text/plain", "boom");
+      case "/garbage": return send(200, "application/json", "<html>not json</html>");
+      case "/wrong-shape": return send(200, "application/json", JSON.stringify({ list: "nope" }));
+      case "/slow": return undefined; // never answers
+      default: return send(404, "text/plain", "no fixture");
+    }
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// ---------------------------
+// Checks
+// ---------------------------
+const problems = [];
+const check = (ok, message) => { if (!ok) problems.push(message); };
+
+function checkItem(item) {
+  const label = `${item.provider} item ${JSON.stringify(item.id)}`;
+  check(typeof item.title === "string" && item.title.length > 0, `${label}: missing title`);
+  check(/^https:\/\//.test(item.url), `${label}: url must be https`);
+  check(item.thumbnail === null || /^https:\/\//.test(item.thumbnail), `${label}: thumbnail must be https or null`);
+  check(item.duration === null || (Number.isInteger(item.duration) && item.duration > 0), `${label}: duration must be whole seconds or null`);
+  check(item.channel === null || typeof item.channel === "string", `${label}: channel must be a string or null`);
+  check(item.published === null || Number.isFinite(item.published), `${label}: published must be a time or null`);
+}
+
+async function checkFixtures(base) {
+  const endpoints = { reddit: `${base}/reddit`, dailymotion: `${base}/dailymotion` };
+  const { items, failed } = await providers.search(["reddit", "dailymotion"], QUERY, { endpoints, timeoutMs: 2000 });
+
+  check(failed.length === 0, `fixture providers failed: ${JSON.stringify(failed)}`);
+  items.forEach(checkItem);
+  const ids = items.map(i => `${i.provider}:${i.id}`);
+  const expected = ["reddit:r1", "reddit:r2", "reddit:r5", "dailymotion:x8bbb"];
+  check(JSON.stringify(ids) === JSON.stringify(expected), `merged items ${JSON.stringify(ids)}, expected ${JSON.stringify(expected)}`);
+
+  check(items.find(i => i.id === "r1").duration === 95, "hosted Reddit videos keep their duration");
+  check(items.find(i => i.id === "r2").url === "https://youtu.be/abc111", "linked Reddit videos point at their source");
+  const merged = items.find(i => i.id === "r5");
+  check(merged && merged.duration === 3725 && merged.channel === "r/Cricket", "a Dailymotion video linked from Reddit merges into one item");
+  check(!ids.includes("reddit:r3"), "NSFW Reddit posts must be dropped");
+  check(!ids.includes("reddit:r4"), "Reddit posts without video must be dropped");
+  const dm = items.find(i => i.id === "x8bbb");
+  check(dm && dm.thumbnail === null && dm.duration === null, "insecure thumbnails and zero durations become null");
+
+  const sent = path => requests.find(u => u.pathname === path);
+  check(sent("/reddit") && sent("/reddit").searchParams.get("q") === QUERY, "Reddit request must carry the query");
+  check(sent("/reddit") && sent("/reddit").searchParams.get("include_over_18") === "off", "Reddit request must ask for no NSFW posts");
+  check(sent("/dailymotion") && sent("/dailymotion").searchParams.get("family_filter") === "true", "Dailymotion request must use the family filter");
+}
+
+async function checkFailures(base) {
+  const cases = [
+    ["reddit", `${base}/error`, "HTTP 500"],
+    ["reddit", `${base}/garbage`, null],
+    ["dailymotion", `${base}/wrong-shape`, "not a Dailymotion list"],
+    ["reddit", `${base}/slow`, "timed out"],
+    ["dailymotion", null, "no endpoint configured"],
+    ["vimeo", `${base}/dailymotion`, "unknown provider"]
+  ];
+  for (const [id, endpoint, error] of cases) {
+    const endpoints = { [id]: endpoint };
+    const result = await providers.fetchProvider(id, QUERY, { endpoints, timeoutMs: 300 });
+    const label = `${id} at ${endpoint || "no endpoint"}`;
+    check(!result.items && typeof result.error === "string", `${label} must report a failure`);
+    if (error) check(result.error === error, `${label} reported "${result.error}", expected "${error}"`);
+  }
+}
+
+function checkHelpers() {
+  const { videoKey, formatDuration, dedupe } = providers;
+  check(videoKey("https://youtu.be/abc111") === videoKey("https://m.youtube.com/watch?v=abc111&t=4"), "youtu.be and watch URLs are the same video");
+  check(videoKey("https://www.youtube.com/shorts/abc111") === "youtube:abc111", "Shorts URLs are keyed by video id");
+  check(videoKey("https://dai.ly/x8aaa") === videoKey("https://www.dailymotion.com/video/x8aaa_some-title"), "dai.ly and video URLs are the same video");
+  check(formatDuration(75) === "1:15" && formatDuration(3725) === "1:02:05" && formatDuration(null) === "", "formatDuration");
+  const merged = dedupe([
+    { provider: "a", url: "https://youtu.be/q", thumbnail: null, duration: null },
+    { provider: "b", url: "https://www.youtube.com/watch?v=q", thumbnail: "https://t/x.jpg", duration: 30 }
+  ]);
+  check(merged.length === 1 && merged[0].provider === "a" && merged[0].duration === 30, "dedupe keeps the first copy and fills in gaps");
+}
+
+async function checkOnline() {
+  const { items, failed } = await providers.search(["reddit", "dailymotion"], "cricket highlights", { timeoutMs: 10000 });
+  failed.forEach(f => problems.push(`${f.id} (live): ${f.error}`));
+  items.forEach(checkItem);
+  console.log(`Live endpoints returned ${items.length} items.`);
+}
+
+async function main() {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await checkFixtures(base);
+    await checkFailures(base);
+    checkHelpers();
+    if (process.argv.includes("--online")) await checkOnline();
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  if (problems.length) {
+    console.error(`Provider checks failed (${problems.length}):`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  console.log(`Provider checks passed (${providers.PROVIDERS.length} providers).`);
+}
+
+main();
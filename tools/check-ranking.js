@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — ranking tests
+ * Unit tests for ranking.js with plain Node (no packages, no browser):
+ *
+ *   node tools/check-ranking.js   exit 1 and list failures if any test fails
+ *
+ * Covers the tokenizer, every built-in rule and its weight, configurable weights, synonyms,
+ * intents and rules, ordering, explanations, and queries that must not match a platform
+ * just because they share one word with its name (several are built-in trending chips).
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const ranking = require("../ranking.js");
+const { PLATFORMS } = require("../platforms.js");
+const { TRENDING_INDIA } = require("../suggestions.js");
+
+const { createRanker, tokenize, explain, DEFAULT_WEIGHTS: W } = ranking;
+const ranker = createRanker();
+
+const platform = (id, extra = {}) => ({ id, name: id, category: "all", ...extra });
+const catalog = id => PLATFORMS.find(p => p.id === id);
+const rules = (p, query, r = ranker) => r.score(p, query).reasons.map(x => x.rule);
+const points = (p, query, r = ranker) => r.score(p, query).score;
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// ---------------------------
+// Tokenizer
+// ---------------------------
+test("tokenize lowercases and splits on anything but letters, marks and digits", () => {
+  assert.deepEqual(tokenize("IPL 2026: Final-Over!"), ["ipl", "2026", "final", "over"]);
+  assert.deepEqual(tokenize("sony_liv"), ["sony", "liv"]);
+  assert.deepEqual(tokenize(""), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test("tokenize keeps Indic vowel signs inside words", () => {
+  assert.deepEqual(tokenize("क्रिकेट समाचार"), ["क्रिकेट", "समाचार"]);
+  assert.deepEqual(tokenize("செய்திகள்"), ["செய்திகள்"]);
+});
+
+// ---------------------------
+// Rules and weights
+// ---------------------------
+test("general: only platforms in the all category", () => {
+  assert.deepEqual(rules(platform("a"), "zzz"), ["general"]);
+  assert.equal(points(platform("a"), "zzz"), W.general);
+  assert.deepEqual(rules(platform("a", { category: "news" }), "zzz"), []);
+});
+
+test("exactName: the query is the name or the id", () => {
+  assert.equal(points(catalog("indiatoday"), "India Today"), W.exactName);
+  assert.equal(points(catalog("x"), "x"), W.exactName + W.trusted);
+  assert.equal(points(catalog("medium"), "medium"), W.exactName);
+});
+
+test("nameMatch: the full name, compact name, id, alias or synonym", () => {
+  assert.deepEqual(rules(catalog("indiatoday"), "india today live"), ["nameMatch"]);
+  assert.deepEqual(rules(catalog("sunnxt"), "sunnxt movies"), ["nameMatch", "intent"]);
+  assert.deepEqual(rules(catalog("jiocinema"), "jiocinema ipl"), ["nameMatch", "trusted"]);
+  assert.deepEqual(rules(catalog("facebook_watch"), "fb videos"), ["nameMatch", "trusted"]);
+  assert.deepEqual(rules(catalog("primevideo"), "amazon prime originals"), ["nameMatch", "trusted"]);
+  assert.deepEqual(rules(catalog("sony_liv"), "sonyliv"), ["nameMatch", "trusted"]);
+  assert.deepEqual(rules(catalog("x"), "twitter trends"), ["nameMatch", "trusted"]);
+  assert.equal(points(catalog("aajtak"), "aaj tak news"), W.nameMatch + W.intent);
+});
+
+test("nameMatch: one word of a longer name is not a mention", () => {
+  const cases = [
+    ["indiatoday", "latest tech India"],
+    ["indiatoday", "breaking news India"],
+    ["aajtak", "aaj ka match"],
+    ["sunnxt", "sun rise timelapse"],
+    ["timesofindia", "times square"],
+    ["bbc_hindi", "hindi songs"],
+    ["khan", "shah rukh khan"]
+  ];
+  cases.forEach(([id, query]) => assert.ok(!rules(catalog(id), query).includes("nameMatch"), `${query} → ${id}`));
+});
+
+test("nameMatch: names that are everyday words need the exact name, an alias or a synonym", () => {
+  assert.ok(!rules(catalog("medium"), "medium rare steak").includes("nameMatch"));
+  assert.ok(!rules(catalog("livemint"), "mint chutney").includes("nameMatch"));
+  assert.ok(!rules(catalog("threads"), "sewing threads").includes("nameMatch"));
+  assert.ok(!rules(catalog("x"), "x men").includes("nameMatch"));
+  const custom = createRanker({ commonWords: [] });
+  assert.ok(rules(catalog("medium"), "medium rare steak", custom).includes("nameMatch"));
+});
+
+test("intent: whole words, trailing * prefixes and native script", () => {
+  const news = platform("n", { category: "news" });
+  const gaming = platform("g", { category: "gaming" });
+  assert.equal(points(news, "cricket news"), W.intent);
+  assert.equal(points(news, "newspaper"), 0);
+  assert.equal(points(news, "daily updates"), W.intent);
+  assert.equal(points(news, "क्रिकेट समाचार"), W.intent);
+  assert.equal(points(gaming, "gaming setup"), W.intent);
+  assert.equal(points(gaming, "endgame"), 0);
+  assert.match(ranker.score(news, "cricket news").reasons[0].detail, /"news" suggests news/);
+});
+
+test("trusted: exact ids only, no substring matches", () => {
+  assert.deepEqual(rules(platform("x", { category: "social" }), "zzz"), ["trusted"]);
+  assert.deepEqual(rules(platform("xbox", { category: "social" }), "zzz"), []);
+  assert.deepEqual(rules(platform("netflix_kids", { category: "ott" }), "zzz"), []);
+  assert.equal(points(catalog("netflix"), "zzz"), W.trusted);
+});
+
+test("an empty query scores nothing", () => {
+  assert.deepEqual(ranker.score(catalog("youtube"), "  "), { score: 0, reasons: [] });
+});
+
+// ---------------------------
+// Configuration
+// ---------------------------
+test("weights can be overridden; zero-point reasons are dropped", () => {
+  const r = createRanker({ weights: { trusted: 7, general: 0 } });
+  assert.deepEqual(r.score(catalog("youtube"), "zzz"), {
+    score: 7,
+    reasons: [{ rule: "trusted", points: 7, detail: "Official / popular platform" }]
+  });
+  assert.equal(r.config.weights.intent, W.intent);
+});
+
+test("synonyms, intents and trusted ids can be replaced", () => {
+  const r = createRanker({
+    synonyms: { dm: "dailymotion" },
+    intents: [{ category: "all", keywords: ["clip*"] }],
+    trustedIds: ["vimeo"]
+  });
+  assert.deepEqual(rules(catalog("dailymotion"), "dm clips", r), ["general", "nameMatch", "intent"]);
+  assert.deepEqual(rules(catalog("vimeo"), "zzz", r), ["general", "trusted"]);
+  assert.deepEqual(rules(catalog("youtube"), "zzz", r), ["general"]);
+});
+
+test("extra rules add reasons and can return lists", () => {
+  const bonus = ctx => (ctx.platform.id === "vimeo" ? [{ rule: "bonus", points: ctx.weights.bonus, detail: "Bonus" }] : null);
+  const r = createRanker({ weights: { bonus: 3 }, rules: [...ranking.DEFAULT_RULES, bonus] });
+  assert.deepEqual(rules(catalog("vimeo"), "zzz", r), ["general", "bonus"]);
+  assert.equal(points(catalog("vimeo"), "zzz", r), W.general + 3);
+});
+
+// ---------------------------
+// Ranking and explanations
+// ---------------------------
+test("rank sorts by score and keeps input order on ties", () => {
+  const list = [platform("a", { category: "news" }), platform("b"), platform("c")];
+  assert.deepEqual(ranker.rank(list, "zzz").map(r => r.platform.id), ["b", "c", "a"]);
+  assert.deepEqual(ranker.rank(list, "news").map(r => r.platform.id), ["a", "b", "c"]);
+});
+
+test("trending chips rank by intent, not by a shared name word", () => {
+  TRENDING_INDIA.forEach(({ q }) => {
+    const top = ranker.rank(PLATFORMS, q)[0];
+    assert.ok(!top.reasons.some(r => r.rule === "nameMatch" || r.rule === "exactName"), `${q} → ${top.platform.id}`);
+  });
+  assert.equal(ranker.rank(PLATFORMS, "breaking news India")[0].platform.category, "news");
+});
+
+test("explain lists one signed line per reason", () => {
+  const { reasons } = ranker.score(catalog("youtube"), "youtube");
+  assert.equal(explain(reasons), `+${W.general} General platform\n+${W.exactName} Query is "YouTube"\n+${W.trusted} Official / popular platform`);
+  assert.equal(explain([{ points: -5, detail: "Penalty" }]), "-5 Penalty");
+});
+
+// ---------------------------
+// Run
+// ---------------------------
+const failures = [];
+tests.forEach(({ name, fn }) => {
+  try {
+    fn();
+  } catch (err) {
+    failures.push(`${name}\n      ${String(err.message).split("\n").join("\n      ")}`);
+  }
+});
+
+if (failures.length) {
+  console.error(`Ranking tests failed (${failures.length} of ${tests.length}):`);
+  failures.forEach(f => console.error(`  - ${f}`));
+  process.exit(1);
+}
+console.log(`Ranking tests passed (${tests.length} tests).`);
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — transliteration tests
+ * Unit tests for transliterate.js with plain Node (no packages, no browser):
+ *
+ *   node tools/check-transliterate.js   exit 1 and list failures if any test fails
+ *
+ * Pins the output for each script, the vowel rules (only a word-final "a" is lengthened),
+ * the word-final consonant rules, and which words are kept as typed.
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { SCRIPTS, isEnglishWord, isRomanized, transliterate } = require("../transliterate.js");
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// ---------------------------
+// Scripts
+// ---------------------------
+test("every script has a table", () => {
+  assert.deepEqual(SCRIPTS, ["deva", "beng", "taml", "telu", "knda", "mlym"]);
+  assert.throws(() => transliterate("raja", "latn"), /Unknown script: latn/);
+});
+
+test("one word per script", () => {
+  assert.equal(transliterate("pyaar", "deva"), "प्यार");
+  assert.equal(transliterate("bhalo", "beng"), "ভলো");
+  assert.equal(transliterate("vanakkam", "taml"), "வனக்கம்");
+  assert.equal(transliterate("namaskaram", "telu"), "నమస్కరమ్");
+  assert.equal(transliterate("bharat", "knda"), "ಭರತ್");
+  assert.equal(transliterate("kalam", "mlym"), "കലം");
+});
+
+// ---------------------------
+// Vowels
+// ---------------------------
+test("a word-final a is long in Devanagari, Bengali and Tamil only", () => {
+  assert.equal(transliterate("raja", "deva"), "रजा");
+  assert.equal(transliterate("raja", "taml"), "ரஜா");
+  assert.equal(transliterate("raja", "telu"), "రజ");
+});
+
+test("a medial a stays short unless typed long", () => {
+  assert.equal(transliterate("khana", "deva"), "खना");
+  assert.equal(transliterate("khaana", "deva"), "खाना");
+  assert.equal(transliterate("gaana", "deva"), "गाना");
+});
+
+test("a final consonant drops the schwa in Hindi and takes a virama in Dravidian scripts", () => {
+  assert.equal(transliterate("kya hal hai", "deva"), "क्या हल है");
+  assert.equal(transliterate("kabaddi", "taml"), "கபட்டி");
+});
+
+// ---------------------------
+// Words kept as typed
+// ---------------------------
+test("English words, acronyms, digits and native text are kept", () => {
+  assert.equal(transliterate("IPL 2026 cricket highlights", "deva"), "IPL 2026 cricket highlights");
+  assert.equal(transliterate("gaana video", "deva"), "गाना video");
+  assert.equal(transliterate("समाचार raja", "deva"), "समाचार रजा");
+});
+
+test("isEnglishWord and isRomanized", () => {
+  assert.ok(isEnglishWord("BGMI"));
+  assert.ok(isEnglishWord("Trailer"));
+  assert.ok(!isEnglishWord("a"));
+  assert.ok(!isEnglishWord("gaana"));
+  assert.ok(!isRomanized("IPL news"));
+  assert.ok(isRomanized("ipl khabar"));
+  assert.ok(!isRomanized("क्रिकेट"));
+});
+
+// ---------------------------
+// Run
+// ---------------------------
+const failures = [];
+tests.forEach(({ name, fn }) => {
+  try {
+    fn();
+  } catch (err) {
+    failures.push(`${name}\n      ${String(err.message).split("\n").join("\n      ")}`);
+  }
+});
+
+if (failures.length) {
+  console.error(`Transliteration tests failed (${failures.length} of ${tests.length}):`);
+  failures.forEach(f => console.error(`  - ${f}`));
+  process.exit(1);
+}
+console.log(`Transliteration tests passed (${tests.length} tests).`);
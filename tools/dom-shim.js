@@ -0,0 +1,326 @@
+/* GM Video Finder AI — DOM shim for the tool checks
+ * Boots the real app (index.html's scripts, in order) in a small fake DOM with plain Node
+ * (no packages, no browser). Used by tools/xss-check.js and tools/a11y-check.js.
+ * - No HTML parser: index.html's elements are created on demand by getElementById
+ * - Writing HTML (innerHTML, outerHTML, insertAdjacentHTML, document.write) is recorded
+ *   as a violation instead of being parsed
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// ---------------------------
+// DOM (just what app.js touches; no HTML parsing anywhere)
+// ---------------------------
+// Simple selectors only: tag, #id and .class, combined, joined by spaces (descendants) and
+// commas. Anything fancier parses to nothing and matches nothing.
+function parseSelector(selector) {
+  const lists = String(selector).split(",").map(part => part.trim().split(/\s+/).map(simple => {
+    const m = /^([a-z][\w-]*|\*)?((?:[.#][\w-]+)*)$/i.exec(simple);
+    if (!m || !simple) return null;
+    return {
+      tag: m[1] && m[1] !== "*" ? m[1].toUpperCase() : null,
+      id: (/#([\w-]+)/.exec(m[2]) || [])[1] || null,
+      classes: [...m[2].matchAll(/\.([\w-]+)/g)].map(c => c[1])
+    };
+  }));
+  return lists.some(chain => chain.includes(null)) ? [] : lists;
+}
+
+const matchesSimple = (node, s) =>
+  (!s.tag || node.tagName === s.tag) && (!s.id || node.id === s.id) && s.classes.every(c => node.classList.contains(c));
+
+function matchesSelector(node, selector) {
+  return parseSelector(selector).some(chain => {
+    if (!matchesSimple(node, chain[chain.length - 1])) return false;
+    let i = chain.length - 2;
+    for (let n = node.parentNode; n && i >= 0; n = n.parentNode) if (matchesSimple(n, chain[i])) i--;
+    return i < 0;
+  });
+}
+
+function createDom(htmlViolation) {
+  const all = [];
+
+  class Node {
+    constructor(tagName) {
+      this.tagName = tagName.toUpperCase();
+      this.nodeName = this.tagName;
+      this.childNodes = [];
+      this.parentNode = null;
+      this.attributes = new Map();
+      this.listeners = {};
+      this.dataset = {};
+      this.style = { setProperty() {}, removeProperty() {} };
+      this.hidden = false;
+      this.disabled = false;
+      this.checked = false;
+      this.value = "";
+      this.files = [];
+      this.options = [];
+      this.selectedIndex = -1;
+      this._text = "";
+      const classes = new Set();
+      this.classList = {
+        add: (...c) => c.forEach(x => classes.add(x)),
+        remove: (...c) => c.forEach(x => classes.delete(x)),
+        toggle: (c, force) => {
+          const on = force === undefined ? !classes.has(c) : !!force;
+          if (on) classes.add(c); else classes.delete(c);
+          return on;
+        },
+        contains: c => classes.has(c)
+      };
+      Object.defineProperty(this, "className", {
+        get: () => [...classes].join(" "),
+        set: v => { classes.clear(); String(v).split(/\s+/).filter(Boolean).forEach(c => classes.add(c)); }
+      });
+      all.push(this);
+    }
+
+    get children() { return this.childNodes.filter(n => n instanceof Node); }
+    get firstChild() { return this.childNodes[0] || null; }
+    get firstElementChild() { return this.children[0] || null; }
+    get lastElementChild() { return this.children[this.children.length - 1] || null; }
+    get childElementCount() { return this.children.length; }
+
+    get textContent() {
+      return this._text + this.childNodes.map(n => (typeof n === "string" ? n : n.textContent)).join("");
+    }
+    set textContent(v) {
+      this.childNodes.forEach(n => { if (n instanceof Node) n.parentNode = null; });
+      this.childNodes = [];
+      this._text = String(v);
+    }
+
+    get innerHTML() { return ""; }
+    set innerHTML(v) { htmlViolation(`innerHTML on <${this.tagName.toLowerCase()}>`, v); }
+    get outerHTML() { return ""; }
+    set outerHTML(v) { htmlViolation(`outerHTML on <${this.tagName.toLowerCase()}>`, v); }
+    insertAdjacentHTML(where, v) { htmlViolation(`insertAdjacentHTML on <${this.tagName.toLowerCase()}>`, v); }
+
+    get href() { return this.attributes.get("href") || ""; }
+    set href(v) { this.attributes.set("href", String(v)); }
+    get src() { return this.attributes.get("src") || ""; }
+    set src(v) { this.attributes.set("src", String(v)); }
+    get action() { return this.attributes.get("action") || ""; }
+    set action(v) { this.attributes.set("action", String(v)); }
+    get formAction() { return this.attributes.get("formaction") || ""; }
+    set formAction(v) { this.attributes.set("formaction", String(v)); }
+    get poster() { return this.attributes.get("poster") || ""; }
+    set poster(v) { this.attributes.set("poster", String(v)); }
+    get srcdoc() { return this.attributes.get("srcdoc") || ""; }
+    set srcdoc(v) { this.attributes.set("srcdoc", String(v)); }
+    get id() { return this.attributes.get("id") || ""; }
+    set id(v) { this.attributes.set("id", String(v)); }
+
+    setAttribute(name, value) { this.attributes.set(String(name).toLowerCase(), String(value)); }
+    getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+    removeAttribute(name) { this.attributes.delete(name); }
+    hasAttribute(name) { return this.attributes.has(name); }
+    toggleAttribute(name, force) {
+      const on = force === undefined ? !this.attributes.has(name) : !!force;
+      if (on) this.attributes.set(name, ""); else this.attributes.delete(name);
+      return on;
+    }
+
+    adopt(child) {
+      if (child instanceof Node) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        return child;
+      }
+      return String(child);
+    }
+    append(...kids) { kids.forEach(k => this.childNodes.push(this.adopt(k))); }
+    prepend(...kids) { this.childNodes.unshift(...kids.map(k => this.adopt(k))); }
+    appendChild(k) { this.append(k); return k; }
+    insertBefore(k, ref) {
+      const i = this.childNodes.indexOf(ref);
+      const node = this.adopt(k);
+      if (i < 0) this.childNodes.push(node); else this.childNodes.splice(i, 0, node);
+      return k;
+    }
+    replaceChildren(...kids) { this.textContent = ""; this.append(...kids); }
+    removeChild(k) {
+      this.childNodes = this.childNodes.filter(n => n !== k);
+      if (k instanceof Node) k.parentNode = null;
+      return k;
+    }
+    remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+    replaceWith(...kids) {
+      const parent = this.parentNode;
+      if (!parent) return;
+      const i = parent.childNodes.indexOf(this);
+      parent.removeChild(this);
+      parent.childNodes.splice(i, 0, ...kids.map(k => parent.adopt(k)));
+    }
+
+    addEventListener(type, fn) { (this.listeners[type] = this.listeners[type] || []).push(fn); }
+    removeEventListener(type, fn) { this.listeners[type] = (this.listeners[type] || []).filter(f => f !== fn); }
+    dispatchEvent(event) {
+      (this.listeners[event.type] || []).forEach(fn => fn.call(this, event));
+      return true;
+    }
+
+    contains(other) {
+      for (let n = other; n; n = n.parentNode) if (n === this) return true;
+      return false;
+    }
+    closest(selector) {
+      for (let n = this; n; n = n.parentNode) if (n.matches(selector)) return n;
+      return null;
+    }
+    matches(selector) { return matchesSelector(this, selector); }
+    querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+    querySelectorAll(selector) {
+      const found = [];
+      const walk = node => node.children.forEach(child => {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      });
+      walk(this);
+      return found;
+    }
+    getBoundingClientRect() { return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 }; }
+    scrollIntoView() {}
+    focus() {}
+    blur() {}
+    select() {}
+    click() { this.dispatchEvent({ type: "click", target: this, preventDefault() {}, stopPropagation() {} }); }
+    showModal() { this.open = true; }
+    close() { this.open = false; }
+    setSelectionRange() {}
+    setCustomValidity() {}
+    reportValidity() { return true; }
+  }
+
+  const byId = new Map();
+  const body = new Node("body");
+  const documentElement = new Node("html");
+  const document = {
+    body,
+    documentElement,
+    activeElement: body,
+    readyState: "complete",
+    title: "",
+    visibilityState: "visible",
+    createElement: tag => new Node(String(tag)),
+    createDocumentFragment: () => new Node("#fragment"),
+    createTextNode: text => String(text),
+    getElementById(id) {
+      if (!byId.has(id)) {
+        const node = new Node("div");
+        node.id = id;
+        body.appendChild(node);
+        byId.set(id, node);
+      }
+      return byId.get(id);
+    },
+    querySelector: selector => body.querySelector(selector),
+    querySelectorAll: selector => body.querySelectorAll(selector),
+    addEventListener() {},
+    removeEventListener() {},
+    write: v => htmlViolation("document.write", v)
+  };
+  return { document, all, byId };
+}
+
+function createStorage(initial) {
+  const map = new Map(Object.entries(initial));
+  return {
+    getItem: k => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: k => map.delete(k),
+    clear: () => map.clear(),
+    key: i => [...map.keys()][i] || null,
+    get length() { return map.size; }
+  };
+}
+
+// ---------------------------
+// Booting the app
+// ---------------------------
+const SCRIPTS = [...fs.readFileSync(path.join(ROOT, "index.html"), "utf8").matchAll(/<script src="([^"]+)"/g)].map(m => m[1]);
+const SOURCES = SCRIPTS.map(src => ({ src, code: fs.readFileSync(path.join(ROOT, src), "utf8") }));
+
+/**
+ * Run index.html's scripts against a fresh shim. `query` becomes ?q=, `storage` seeds
+ * localStorage, `navigator` overrides the desktop defaults, and `setup(document)` can add
+ * markup the app reads with querySelector before the scripts run.
+ */
+function boot({ query, storage = {}, navigator = {}, setup } = {}) {
+  const violations = [];
+  const htmlViolation = (where, value) => violations.push(`${where}: ${JSON.stringify(String(value).slice(0, 80))}`);
+  const { document, all } = createDom(htmlViolation);
+  const opened = [];
+  const timers = new Set();
+
+  const url = new URL("https://gm.example/index.html");
+  if (query !== undefined) url.searchParams.set("q", query);
+  const location = { href: url.href, origin: url.origin, pathname: url.pathname, search: url.search, hash: "", protocol: url.protocol, host: url.host, reload() {} };
+
+  const localStorage = createStorage(storage);
+
+  const window = {
+    document,
+    location,
+    localStorage,
+    navigator: { onLine: true, userAgent: "Mozilla/5.0 (X11; Linux x86_64)", platform: "Linux x86_64", maxTouchPoints: 0, languages: ["en-IN"], ...navigator },
+    history: { replaceState() {}, pushState() {} },
+    matchMedia: q => ({ matches: false, media: q, addEventListener() {}, removeEventListener() {}, addListener() {} }),
+    open: (href, target) => { opened.push(href); return { opener: null, focus() {} }; },
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() { return true; },
+    setTimeout: (fn, ms, ...args) => {
+      const t = setTimeout(() => { timers.delete(t); fn(...args); }, ms);
+      timers.add(t);
+      return t;
+    },
+    clearTimeout: t => { timers.delete(t); clearTimeout(t); },
+    setInterval: () => 0,
+    clearInterval() {},
+    requestAnimationFrame: fn => fn(),
+    cancelAnimationFrame() {},
+    getComputedStyle: () => ({ getPropertyValue: () => "" }),
+    fetch: () => Promise.reject(new Error("offline in tests")),
+    crypto: globalThis.crypto,
+    URL,
+    URLSearchParams,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    Event: class { constructor(type) { this.type = type; } preventDefault() {} stopPropagation() {} },
+    CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } },
+    Blob: class {},
+    console,
+    Promise,
+    Intl,
+    Date,
+    Math,
+    JSON
+  };
+  window.window = window;
+  window.self = window;
+  window.globalThis = window;
+
+  if (setup) setup(document);
+  const context = vm.createContext(window);
+  const errors = [];
+  SOURCES.forEach(({ src, code }) => {
+    try {
+      vm.runInContext(code, context, { filename: src });
+    } catch (err) {
+      errors.push(`${src}: ${err.stack || err}`);
+    }
+  });
+  return { window, document, all, opened, violations, errors, timers };
+}
+
+module.exports = { boot, createDom, createStorage, SCRIPTS };
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — OpenSearch descriptor
+ * Browsers refuse to install a search engine whose templates are relative, so
+ * opensearch.xml names the app's deployed URL. Regenerate it for each deployment:
+ *
+ *   node tools/opensearch.js https://host/path/   write opensearch.xml for the app at that URL
+ *   node tools/opensearch.js                      rewrite it for the URL it already names
+ *   node tools/opensearch.js --check              exit 1 if opensearch.xml is out of date
+ *
+ * Address-bar suggestions: the browser fetches the suggestions template itself, outside any
+ * page, so the service worker never sees it. On a static host the URL is a 404 and the
+ * browser shows no suggestions; it takes a server that answers suggest?q= the way
+ * service-worker.js does (suggestions.js's toOpenSearch format).
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const FILE = path.join(ROOT, "opensearch.xml");
+
+// Must be a size the manifest declares for the same file.
+const ICON = { src: "gm-icon-192.png", size: 192 };
+
+function appUrl(value) {
+  const url = new URL(value);
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw new Error(`not an http(s) URL: ${value}`);
+  if (!url.pathname.endsWith("/")) url.pathname = url.pathname.replace(/[^/]*$/, "");
+  url.search = "";
+  url.hash = "";
+  return url.href;
+}
+
+function build(base) {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/"`,
+    `                       xmlns:moz="http://www.mozilla.org/2006/browser/search/">`,
+    `  <ShortName>GM Finder</ShortName>`,
+    `  <Description>Search videos across YouTube, OTT, news and social platforms</Description>`,
+    `  <InputEncoding>UTF-8</InputEncoding>`,
+    `  <Image width="${ICON.size}" height="${ICON.size}" type="image/png">${base}${ICON.src}</Image>`,
+    `  <!-- Generated by tools/opensearch.js: templates must be absolute, so rerun it when deploying elsewhere. -->`,
+    `  <Url type="text/html" method="get" template="${base}index.html?q={searchTerms}&amp;src=opensearch"/>`,
+    `  <!-- Needs a server that answers suggest?q=; on a static host browsers just show no suggestions. -->`,
+    `  <Url type="application/x-suggestions+json" method="get" template="${base}suggest?q={searchTerms}"/>`,
+    `  <moz:SearchForm>${base}index.html</moz:SearchForm>`,
+    `</OpenSearchDescription>`,
+    ``
+  ].join("\r\n");
+}
+
+function main() {
+  const current = fs.existsSync(FILE) ? fs.readFileSync(FILE, "utf8") : "";
+  const named = (/<moz:SearchForm>([^<]+)index\.html<\/moz:SearchForm>/.exec(current) || [])[1];
+  const arg = process.argv.slice(2).find(a => !a.startsWith("--"));
+  if (!arg && !named) {
+    console.error("opensearch.xml names no app URL; run: node tools/opensearch.js https://host/path/");
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+  const icon = manifest.icons.find(i => i.src === ICON.src);
+  if (!icon || !icon.sizes.split(/\s+/).includes(`${ICON.size}x${ICON.size}`)) {
+    console.error(`manifest.json doesn't declare ${ICON.src} as ${ICON.size}x${ICON.size}`);
+    process.exit(1);
+  }
+
+  const next = build(appUrl(arg || named));
+  if (process.argv.includes("--check")) {
+    if (next !== current) {
+      console.error("opensearch.xml is out of date; run: node tools/opensearch.js");
+      process.exit(1);
+    }
+    console.log(`opensearch.xml is up to date (${appUrl(named)}).`);
+    return;
+  }
+  fs.writeFileSync(FILE, next);
+  console.log(`Wrote opensearch.xml for ${appUrl(arg || named)}.`);
+}
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — precache manifest
+ * Hashes every app asset and writes the list into service-worker.js, between the
+ * "precache:start" and "precache:end" markers. Run it after changing any asset:
+ *
+ *   node tools/precache.js          rewrite service-worker.js
+ *   node tools/precache.js --check  exit 1 if service-worker.js is out of date
+ *
+ * Any asset change changes the worker's bytes, so browsers install the new version.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const WORKER = path.join(ROOT, "service-worker.js");
+
+// Everything the app needs offline. "./" is served by index.html.
+const ASSETS = [
+  "index.html",
+  "manifest.json",
+  "opensearch.xml",
+  "styles.css",
+  "splash.css",
+  "dom.js",
+  "transliterate.js",
+  "ranking.js",
+  "suggestions.js",
+  "platforms.js",
+  "providers.js",
+  "app.js",
+  "gm-icon.svg",
+  "gm-icon-192.png",
+  "gm-icon-512.png"
+];
+
+const START = "// precache:start";
+const END = "// precache:end";
+
+const hash = data => crypto.createHash("sha256").update(data).digest("hex").slice(0, 12);
+
+function buildBlock(eol) {
+  const entries = ASSETS.map(file => ({ url: `./${file}`, revision: hash(fs.readFileSync(path.join(ROOT, file))) }));
+  const index = entries.find(e => e.url === "./index.html");
+  entries.unshift({ url: "./", revision: index.revision });
+  const version = hash(entries.map(e => `${e.url}@${e.revision}`).join("\n"));
+
+  return [
+    `${START} (generated by tools/precache.js — do not edit by hand)`,
+    `const PRECACHE_VERSION = "${version}";`,
+    "const PRECACHE = [",
+    entries.map(e => `  { url: "${e.url}", revision: "${e.revision}" }`).join(`,${eol}`),
+    "];",
+    END
+  ].join(eol);
+}
+
+function main() {
+  const source = fs.readFileSync(WORKER, "utf8");
+  const start = source.indexOf(START);
+  const end = source.indexOf(END);
+  if (start < 0 || end < start) {
+    console.error(`service-worker.js is missing the "${START}" / "${END}" markers.`);
+    process.exit(1);
+  }
+
+  // Keep the worker's own line endings (CRLF, like the rest of the app's files).
+  const eol = source.includes("\r\n") ? "\r\n" : "\n";
+  const next = source.slice(0, start) + buildBlock(eol) + source.slice(end + END.length);
+  if (process.argv.includes("--check")) {
+    if (next !== source) {
+      console.error("service-worker.js precache list is out of date; run: node tools/precache.js");
+      process.exit(1);
+    }
+    console.log("service-worker.js precache list is up to date.");
+    return;
+  }
+
+  fs.writeFileSync(WORKER, next);
+  console.log(`Precached ${ASSETS.length + 1} entries.`);
+}
+
+main();
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — platform catalog checks
+ * Validates platforms.js with plain Node (no packages):
+ *
+ *   node tools/validate-platforms.js           exit 1 and list problems if any check fails
+ *   node tools/validate-platforms.js --online  also check that every active platform's site answers
+ *
+ * Covers unique ids, icons and aliases, well-formed URL templates, site domains and app
+ * links, redirects of retired platforms, and that a tricky query survives each URL's encoding.
+ */
+
+"use strict";
+
+const catalog = require("../platforms.js");
+
+const { CATEGORIES, ENGINES, PLATFORMS } = catalog;
+
+const ID_RE = /^[a-z0-9_]+$/;
+const ICON_RE = /^[A-Z0-9]{1,3}$/;
+const TAG_RE = /^[a-z0-9-]+$/;
+const REGION_RE = /^([A-Z]{2}|global)$/;
+const DOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+(\/[^\s{}?#]*)?$/i;
+const KNOWN_KEYS = new Set([
+  "id", "name", "category", "icon", "hint", "url", "site", "engine", "syntax", "append",
+  "regions", "tags", "aliases", "deprecated", "redirect", "app"
+]);
+const PACKAGE_RE = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/i;
+// Characters that break naive encoding: separators, reserved URL characters, quotes, non-ASCII.
+const PROBE_QUERY = `Tamil "song" -remix & a=b #1 / ? 100% + é हिंदी`;
+
+const ONLINE_TIMEOUT_MS = 8000;
+const ONLINE_CONCURRENCY = 4;
+
+// ---------------------------
+// Checks
+// ---------------------------
+const problems = [];
+const fail = (entry, message) => problems.push(`${entry.id || "(no id)"}: ${message}`);
+
+const isStringList = v => Array.isArray(v) && v.every(x => typeof x === "string");
+
+function checkFields(entry) {
+  Object.keys(entry).filter(k => !KNOWN_KEYS.has(k)).forEach(k => fail(entry, `unknown field "${k}"`));
+  if (!ID_RE.test(entry.id || "")) fail(entry, "id must be lowercase letters, digits and _");
+  if (!entry.name || typeof entry.name !== "string") fail(entry, "missing name");
+  if (!CATEGORIES.some(c => c.id === entry.category)) fail(entry, `unknown category "${entry.category}"`);
+  if (!ICON_RE.test(entry.icon || "")) fail(entry, "icon must be 1–3 capital letters or digits");
+  if ("hint" in entry && (typeof entry.hint !== "string" || !entry.hint)) fail(entry, "hint must be a non-empty string");
+  if ("engine" in entry && !ENGINES.includes(entry.engine)) fail(entry, `unknown engine "${entry.engine}"`);
+  if ("syntax" in entry && entry.syntax !== "full" && entry.syntax !== "plain") fail(entry, "syntax must be \"full\" or \"plain\"");
+  if ("append" in entry && (typeof entry.append !== "string" || !entry.append.trim())) fail(entry, "append must be a non-empty string");
+
+  if (!isStringList(entry.regions) || !entry.regions.length || !entry.regions.every(r => REGION_RE.test(r))) {
+    fail(entry, "regions must list ISO country codes or \"global\"");
+  }
+  if (!isStringList(entry.tags) || !entry.tags.length || !entry.tags.every(t => TAG_RE.test(t))) {
+    fail(entry, "tags must be a non-empty list of lowercase words");
+  }
+  if ("aliases" in entry && (!isStringList(entry.aliases) || !entry.aliases.every(a => ID_RE.test(a)))) {
+    fail(entry, "aliases must be lowercase ids");
+  }
+}
+
+function checkTarget(entry) {
+  const hasUrl = "url" in entry;
+  const hasSite = "site" in entry;
+  if (hasUrl === hasSite) {
+    fail(entry, "needs exactly one of url or site");
+    return;
+  }
+  if (hasSite) {
+    if (!DOMAIN_RE.test(entry.site)) fail(entry, `site "${entry.site}" isn't a plain domain (no scheme, query or {q})`);
+    if ("engine" in entry || "syntax" in entry) fail(entry, "site entries always use Google; drop engine/syntax");
+    return;
+  }
+
+  checkTemplate(entry, entry.url, "url");
+}
+
+function checkTemplate(entry, template, label) {
+  if (!/^https:\/\//.test(template)) fail(entry, `${label} must start with https://`);
+  if (template.split("{q}").length !== 2) fail(entry, `${label} must contain {q} exactly once`);
+  let sample;
+  try {
+    sample = new URL(template.replace("{q}", "x"));
+  } catch {
+    fail(entry, `${label} isn't a valid URL`);
+    return;
+  }
+  if (sample.hostname !== new URL(template.replace("{q}", "y")).hostname) fail(entry, `{q} must not be part of the ${label} host`);
+  if (sample.hash) fail(entry, `${label} must not have a #fragment`);
+}
+
+// App links: an Android package and/or the site's own search URL (required for site entries).
+function checkApp(entry) {
+  if (!("app" in entry)) return;
+  const app = entry.app;
+  if (!app || typeof app !== "object" || Array.isArray(app)) {
+    fail(entry, "app must be an object");
+    return;
+  }
+  Object.keys(app).filter(k => k !== "android" && k !== "url").forEach(k => fail(entry, `unknown app field "${k}"`));
+  if ("android" in app && !PACKAGE_RE.test(app.android)) fail(entry, "app.android must be a package name like com.example.app");
+  if ("url" in app) checkTemplate(entry, app.url, "app.url");
+  else if (entry.site) fail(entry, "site entries need app.url (the site's own search)");
+}
+
+// Build URLs for the probe query and read the query back out of them.
+function checkEncoding(entry) {
+  const expected = entry.append ? `${PROBE_QUERY} ${entry.append}` : PROBE_QUERY;
+  if (entry.site) {
+    const url = new URL(catalog.searchUrl(entry, PROBE_QUERY));
+    if (url.searchParams.get("q") !== `site:${entry.site} ${expected}`) fail(entry, "site search doesn't round-trip the query");
+  } else {
+    roundTrip(entry, entry.url, catalog.searchUrl(entry, PROBE_QUERY), expected, "url");
+  }
+  if (entry.app && entry.app.url) roundTrip(entry, entry.app.url, catalog.appSearchUrl(entry, PROBE_QUERY), expected, "app.url");
+}
+
+function roundTrip(entry, templateText, built, expected, label) {
+  let url;
+  try {
+    url = new URL(built);
+  } catch {
+    fail(entry, `${label} doesn't parse once filled in`);
+    return;
+  }
+
+  const template = new URL(templateText.replace("{q}", "__Q__"));
+  const param = [...template.searchParams].find(([, v]) => v === "__Q__");
+  let found;
+  if (param) {
+    found = url.searchParams.get(param[0]);
+    const names = [...template.searchParams.keys()].join("&");
+    if ([...url.searchParams.keys()].join("&") !== names) fail(entry, `the query leaked into other parameters of ${label}`);
+  } else {
+    const segments = template.pathname.split("/");
+    const index = segments.indexOf("__Q__");
+    if (index < 0) {
+      fail(entry, `{q} must be a whole query value or path segment in ${label}`);
+      return;
+    }
+    if (url.pathname.split("/").length !== segments.length) fail(entry, `the query leaked into other path segments of ${label}`);
+    found = decodeURIComponent(url.pathname.split("/")[index] || "");
+  }
+  if (found !== expected) fail(entry, `${label} doesn't round-trip the query (got ${JSON.stringify(found)})`);
+}
+
+function checkCatalog() {
+  const ids = new Map();
+  const aliases = new Map();
+  const icons = new Map();
+
+  PLATFORMS.forEach(entry => {
+    checkFields(entry);
+    checkTarget(entry);
+    checkApp(entry);
+    if (!problems.some(p => p.startsWith(`${entry.id}:`))) checkEncoding(entry);
+
+    if (ids.has(entry.id)) fail(entry, "duplicate id");
+    ids.set(entry.id, entry);
+    (entry.aliases || []).forEach(a => {
+      if (aliases.has(a)) fail(entry, `alias "${a}" is also used by ${aliases.get(a)}`);
+      aliases.set(a, entry.id);
+    });
+    if (!entry.deprecated) {
+      if (icons.has(entry.icon)) fail(entry, `icon "${entry.icon}" is also used by ${icons.get(entry.icon)}`);
+      icons.set(entry.icon, entry.id);
+    }
+  });
+
+  aliases.forEach((owner, alias) => {
+    if (ids.has(alias)) problems.push(`${owner}: alias "${alias}" is another platform's id`);
+  });
+
+  PLATFORMS.forEach(entry => {
+    if ("redirect" in entry && !entry.deprecated) fail(entry, "redirect is only for deprecated platforms");
+    if ("deprecated" in entry && (typeof entry.deprecated !== "string" || !entry.deprecated)) {
+      fail(entry, "deprecated must say why");
+    }
+    if (entry.redirect && entry.deprecated) {
+      const target = ids.get(entry.redirect);
+      if (!target) fail(entry, `redirects to missing id "${entry.redirect}"`);
+      else if (catalog.resolveId(entry.id) === null) fail(entry, "redirect chain ends in a retired platform or loops");
+    }
+  });
+}
+
+// ---------------------------
+// Health (--online)
+// ---------------------------
+function homepage(entry) {
+  return entry.site ? `https://${entry.site.split("/")[0]}/` : new URL(entry.url).origin + "/";
+}
+
+async function unreachableReason(url) {
+  for (const method of ["HEAD", "GET"]) {
+    try {
+      const res = await fetch(url, { method, redirect: "follow", signal: AbortSignal.timeout(ONLINE_TIMEOUT_MS) });
+      // 403/405/429 mean the site is up but dislikes scripted requests.
+      if (res.ok || [403, 405, 429].includes(res.status)) return null;
+      if (method === "GET") return `HTTP ${res.status}`;
+    } catch (err) {
+      if (method === "GET") return err.name === "TimeoutError" ? "timed out" : err.cause ? err.cause.code || err.message : err.message;
+    }
+  }
+  return null;
+}
+
+async function checkOnline() {
+  const queue = PLATFORMS.filter(e => !e.deprecated);
+  const worker = async () => {
+    while (queue.length) {
+      const entry = queue.shift();
+      const url = homepage(entry);
+      const error = await unreachableReason(url);
+      if (error) fail(entry, `${url} unreachable (${error}); consider marking it deprecated`);
+    }
+  };
+  await Promise.all(Array.from({ length: ONLINE_CONCURRENCY }, worker));
+}
+
+async function main() {
+  checkCatalog();
+  if (process.argv.includes("--online")) await checkOnline();
+
+  if (problems.length) {
+    console.error(`Platform catalog checks failed (${problems.length}):`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  const retired = PLATFORMS.filter(e => e.deprecated).length;
+  console.log(`Platform catalog checks passed (${PLATFORMS.length - retired} active, ${retired} deprecated).`);
+}
+
+main();
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/* GM Video Finder AI — hostile input regression checks
+ * Boots the real app (index.html's scripts, in order) in tools/dom-shim.js with plain Node
+ * (no packages, no browser) and feeds hostile input through bootFromUrl → runSearch →
+ * renderResultsCards:
+ *
+ *   node tools/xss-check.js   exit 1 and list problems if any check fails
+ *
+ * dom.js's helpers are checked directly against hostile URLs and props first. Then every
+ * query loads the app fresh from a shared link (?q=...), on desktop and on an Android
+ * phone with "Open in apps" on, with a hostile custom platform saved. The shim has no HTML
+ * parser, so markup can only run if the app writes HTML: any innerHTML / outerHTML /
+ * insertAdjacentHTML / document.write is a failure, as are "on*" attributes, script-like
+ * elements, and links or images that aren't http(s) or a well-formed https app intent.
+ */
+
+"use strict";
+
+const shim = require("./dom-shim.js");
+
+const SETTLE_MS = 800; // runSearch renders the cards after a 500 ms "processing" delay
+
+const HOSTILE_QUERIES = [
+  `<img src=x onerror=alert(1)>`,
+  `"><script>alert(1)</script>`,
+  `'><svg onload=alert(1)> on:youtube`,
+  `javascript:alert(1)`,
+  `data:text/html,<script>alert(1)</script>`,
+  `intent://evil#Intent;scheme=javascript;package=com.evil;end`,
+  `x;S.browser_fallback_url=javascript:alert(1);end`,
+  `"quoted" -<b>bold</b> lang:hindi <iframe src=javascript:alert(1)>`
+];
+
+// A custom platform with a hostile name, and one whose template must never load.
+const HOSTILE_CUSTOM = [
+  { id: "custom_evil", name: `<img src=x onerror=alert(1)>`, category: "all", icon: `"><b>`, template: "https://evil.example/search?q={q}" },
+  { id: "custom_js", name: "JS", category: "all", icon: "JS", template: "javascript:alert(1)//{q}" }
+];
+
+// safeUrl must turn every one of these into "#".
+const HOSTILE_URLS = [
+  "javascript:alert(1)",
+  "JaVaScRiPt:alert(1)",
+  " javascript:alert(1)",
+  "java\tscript:alert(1)",
+  "data:text/html,<script>alert(1)</script>",
+  "vbscript:msgbox(1)",
+  "file:///etc/passwd",
+  "blob:https://gm.example/1",
+  "intent://evil#Intent;scheme=javascript;package=com.evil;end",
+  "intent://evil.example/x#Intent;scheme=https;package=com.evil;S.browser_fallback_url=javascript%3Aalert(1);end",
+  "intent://evil.example/x#Intent;package=com.evil;S.browser_fallback_url=https%3A%2F%2Fevil.example;end",
+  "intent://evil.example/x#Intent;scheme=https;component=com.evil/.Main;end",
+  "intent://evil.example/x#Intent;scheme=https;package=com.evil;end;javascript:alert(1)",
+  "intent:javascript:alert(1)#Intent;scheme=https;end"
+];
+
+const SAFE_URLS = {
+  "https://www.youtube.com/results?search_query=x": "https://www.youtube.com/results?search_query=x",
+  "http://example.com/": "http://example.com/",
+  "./?q=%3Cb%3E": "https://gm.example/?q=%3Cb%3E",
+  "intent://www.youtube.com/results?search_query=x#Intent;scheme=https;package=com.google.android.youtube;S.browser_fallback_url=https%3A%2F%2Fwww.youtube.com%2Fresults%3Fsearch_query%3Dx;end":
+    "intent://www.youtube.com/results?search_query=x#Intent;scheme=https;package=com.google.android.youtube;S.browser_fallback_url=https%3A%2F%2Fwww.youtube.com%2Fresults%3Fsearch_query%3Dx;end"
+};
+
+const ANDROID_UA = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/126 Mobile Safari/537.36";
+const BAD_TAGS = new Set(["script", "iframe", "object", "embed", "frame", "base", "meta", "link", "style", "svg", "math"]);
+const INTENT_RE = /^intent:\/\/[^#;]+#Intent;scheme=https;package=[a-z][\w.]*;S\.browser_fallback_url=https?%3A%2F%2F[^;]*;end$/i;
+
+// ---------------------------
+// Booting the app (tools/dom-shim.js)
+// ---------------------------
+const ANDROID_NAVIGATOR = { userAgent: ANDROID_UA, platform: "Linux armv8l", maxTouchPoints: 5 };
+
+function boot(query, { android = false } = {}) {
+  return shim.boot({
+    query,
+    storage: { gm_custom_platforms: JSON.stringify(HOSTILE_CUSTOM), gm_prefer_apps: String(android) },
+    navigator: android ? ANDROID_NAVIGATOR : {}
+  });
+}
+
+// ---------------------------
+// Checks
+// ---------------------------
+const problems = [];
+
+function safeLink(value) {
+  if (value === "#" || value === "") return true;
+  if (/^https?:\/\//i.test(value)) return true;
+  return INTENT_RE.test(value);
+}
+
+function checkTree(label, { all, opened, violations, errors }) {
+  violations.forEach(v => problems.push(`${label}: HTML written through ${v}`));
+  errors.forEach(e => problems.push(`${label}: script error ${e}`));
+  all.forEach(node => {
+    const tag = node.tagName.toLowerCase();
+    if (BAD_TAGS.has(tag)) problems.push(`${label}: created a <${tag}> element`);
+    node.attributes.forEach((value, name) => {
+      if (/^(on|srcdoc$)/i.test(name)) problems.push(`${label}: <${tag}> has a ${name} attribute`);
+      if (/^(href|src|action|formaction|poster)$/.test(name) && !safeLink(value)) {
+        problems.push(`${label}: <${tag} ${name}=${JSON.stringify(value.slice(0, 80))}>`);
+      }
+    });
+    Object.keys(node).filter(k => /^on/i.test(k)).forEach(k => problems.push(`${label}: <${tag}> has a ${k} property`));
+  });
+  opened.forEach(href => { if (!safeLink(href)) problems.push(`${label}: opened ${JSON.stringify(href)}`); });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function checkQuery(query, android) {
+  const label = `${android ? "android" : "desktop"} ${JSON.stringify(query)}`;
+  const app = boot(query, { android });
+  await sleep(SETTLE_MS);
+
+  const results = app.document.getElementById("results");
+  const hint = app.document.getElementById("resultsHint");
+  const cards = results.children;
+  // The query has to have reached the renderer, or nothing above was tested.
+  if (!cards.length && !/blocked/i.test(hint.textContent)) problems.push(`${label}: no result cards were rendered`);
+  if (app.document.getElementById("query").value !== query.replace(/\s+/g, " ").trim()) {
+    problems.push(`${label}: the query didn't reach the search box`);
+  }
+  if (!app.document.getElementById("platformGrid").textContent.includes(HOSTILE_CUSTOM[0].name)) {
+    problems.push(`${label}: the hostile custom platform wasn't rendered`);
+  }
+  if (android && !cards.some(c => c.href.startsWith("intent:"))) problems.push(`${label}: no app links were built`);
+  checkTree(label, app);
+  app.timers.forEach(t => clearTimeout(t));
+}
+
+// dom.js on its own, run inside a booted app so `el` gets the shim's document.
+function checkHelpers() {
+  const app = boot("helpers");
+  const { el, safeUrl, isSafeIntent } = app.window.GMDom;
+  app.timers.forEach(t => clearTimeout(t));
+
+  HOSTILE_URLS.forEach(url => {
+    if (safeUrl(url) !== "#") problems.push(`safeUrl let ${JSON.stringify(url)} through as ${JSON.stringify(safeUrl(url))}`);
+  });
+  Object.entries(SAFE_URLS).forEach(([url, expected]) => {
+    if (safeUrl(url) !== expected) problems.push(`safeUrl(${JSON.stringify(url)}) gave ${JSON.stringify(safeUrl(url))}`);
+  });
+  if (isSafeIntent(HOSTILE_URLS[9])) problems.push("isSafeIntent accepted a javascript: fallback");
+
+  const refuses = (label, fn) => {
+    try {
+      fn();
+      problems.push(`el() allowed ${label}`);
+    } catch {
+      // expected
+    }
+  };
+  refuses("an onclick property", () => el("a", { onclick: "alert(1)" }));
+  refuses("an innerHTML property", () => el("div", { innerHTML: "<img src=x onerror=alert(1)>" }));
+  refuses("an onerror attribute", () => el("img", { attrs: { onerror: "alert(1)" } }));
+  refuses("a style attribute", () => el("div", { attrs: { style: "background:url(javascript:alert(1))" } }));
+  refuses("a srcdoc attribute", () => el("div", { attrs: { srcdoc: "<script>alert(1)</script>" } }));
+  refuses("an outerHTML property", () => el("div", { outerHTML: "<img src=x onerror=alert(1)>" }));
+  refuses("a style property", () => el("div", { style: "background:url(javascript:alert(1))" }));
+  refuses("a srcdoc property", () => el("div", { srcdoc: "<script>alert(1)</script>" }));
+  refuses("an innerHTML attribute", () => el("div", { attrs: { innerHTML: "<b>" } }));
+
+  const link = el("a", { href: "javascript:alert(1)", attrs: { "data-x": "\"><script>" } }, ["<b>", null, "text"]);
+  if (link.href !== "#") problems.push(`el() href kept ${JSON.stringify(link.href)}`);
+  if (link.children.length) problems.push("el() turned a string child into an element");
+  const img = el("img", { attrs: { src: "data:image/svg+xml,<svg onload=alert(1)>" } });
+  if (img.getAttribute("src") !== "#") problems.push(`el() src attribute kept ${JSON.stringify(img.getAttribute("src"))}`);
+
+  // URL props go through safeUrl like the attrs above.
+  const urlProps = [
+    ["img", "src"],
+    ["form", "action"],
+    ["button", "formAction"],
+    ["video", "poster"]
+  ];
+  urlProps.forEach(([tag, prop]) => {
+    const node = el(tag, { [prop]: "javascript:alert(1)" });
+    if (node[prop] !== "#") problems.push(`el() ${prop} property kept ${JSON.stringify(node[prop])}`);
+  });
+  const form = el("form", { attrs: { action: "javascript:alert(1)" } }, [el("button", { attrs: { formaction: "data:text/html,x" } })]);
+  if (form.action !== "#" || form.children[0].formAction !== "#") problems.push("el() kept an unsafe action or formaction attribute");
+  if (el("img", { src: "https://i.example/a.png" }).src !== "https://i.example/a.png") problems.push("el() rewrote a safe src property");
+  checkTree("helpers", app);
+}
+
+async function main() {
+  checkHelpers();
+  for (const query of HOSTILE_QUERIES) {
+    await checkQuery(query, false);
+    await checkQuery(query, true);
+  }
+
+  if (problems.length) {
+    console.error(`Hostile input checks failed (${problems.length}):`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  console.log(`Hostile input checks passed (${HOSTILE_QUERIES.length} queries on desktop and Android, ${HOSTILE_URLS.length} URLs).`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,242 @@
+/* GM Video Finder AI — offline transliteration
+ * Romanized input (Hinglish, Tanglish, ...) → native Indic scripts.
+ * - Devanagari, Bengali, Tamil, Telugu, Kannada, Malayalam
+ * - No network, no dictionaries: a small phonetic table per script
+ * - Browser: window.GMTransliterate / Node: module.exports
+ */
+
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GMTransliterate = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Unicode block starts. The Indic blocks share one layout (inherited from ISCII),
+  // so every table below stores offsets into that layout, not code points.
+  const SCRIPT_BASE = {
+    deva: 0x0900,
+    beng: 0x0980,
+    taml: 0x0B80,
+    telu: 0x0C00,
+    knda: 0x0C80,
+    mlym: 0x0D00
+  };
+
+  const SCRIPTS = Object.keys(SCRIPT_BASE);
+  const DRAVIDIAN = new Set(["taml", "telu", "knda", "mlym"]);
+  // Scripts where a typed word-final "a" is almost always the long vowel (raja → रजा).
+  // Medial vowels stay as typed, so khana → खना; type khaana for खाना.
+  const LONG_FINAL_A = new Set(["deva", "beng", "taml"]);
+
+  const VIRAMA = 0x4D;
+  const ANUSVARA = 0x02;
+
+  /**
+   * Vowels: [independent letter, dependent sign (matra)].
+   * `null` matra is the inherent "a" written without a sign.
+   */
+  const VOWELS = {
+    aa: [0x06, 0x3E],
+    ai: [0x10, 0x48],
+    au: [0x14, 0x4C],
+    ee: [0x08, 0x40],
+    ii: [0x08, 0x40],
+    oo: [0x0A, 0x42],
+    uu: [0x0A, 0x42],
+    a: [0x05, null],
+    i: [0x07, 0x3F],
+    u: [0x09, 0x41],
+    e: [0x0F, 0x47],
+    o: [0x13, 0x4B]
+  };
+
+  // Dravidian scripts write a short e/o; plain "e"/"o" maps there.
+  const DRAVIDIAN_VOWELS = {
+    e: [0x0E, 0x46],
+    o: [0x12, 0x4A]
+  };
+
+  // Consonants; arrays are clusters joined with a virama (x = k + sh).
+  const CONSONANTS = {
+    chh: 0x1B,
+    ksh: [0x15, 0x37],
+    kh: 0x16,
+    gh: 0x18,
+    ch: 0x1A,
+    jh: 0x1D,
+    th: 0x25,
+    dh: 0x27,
+    ph: 0x2B,
+    bh: 0x2D,
+    sh: 0x36,
+    zh: 0x34,
+    k: 0x15,
+    q: 0x15,
+    g: 0x17,
+    c: 0x1A,
+    j: 0x1C,
+    z: 0x1C,
+    t: 0x24,
+    d: 0x26,
+    n: 0x28,
+    p: 0x2A,
+    f: 0x2B,
+    b: 0x2C,
+    m: 0x2E,
+    y: 0x2F,
+    r: 0x30,
+    l: 0x32,
+    v: 0x35,
+    w: 0x35,
+    s: 0x38,
+    h: 0x39,
+    x: [0x15, 0x37]
+  };
+
+  // Aspirates are rare in Dravidian words: "th"/"dh" usually mean the plain dentals.
+  const DRAVIDIAN_CONSONANTS = {
+    th: 0x24,
+    dh: 0x26
+  };
+
+  const SCRIPT_CONSONANTS = {
+    taml: { d: 0x1F, dh: 0x24, s: 0x1A }
+  };
+
+  // Letters a script doesn't have → closest letter it does have.
+  const FALLBACK = {
+    deva: { 0x34: 0x1C },
+    beng: { 0x34: 0x1C, 0x35: 0x2C, 0x0E: 0x0F, 0x12: 0x13 },
+    taml: {
+      0x16: 0x15, 0x17: 0x15, 0x18: 0x15,
+      0x1B: 0x1A, 0x1D: 0x1C,
+      0x20: 0x1F, 0x21: 0x1F, 0x22: 0x1F,
+      0x25: 0x24, 0x26: 0x24, 0x27: 0x24,
+      0x2B: 0x2A, 0x2C: 0x2A, 0x2D: 0x2A
+    },
+    telu: {},
+    knda: { 0x34: 0x33 },
+    mlym: {}
+  };
+
+  const TOKEN_KEYS = [...Object.keys(VOWELS), ...Object.keys(CONSONANTS)]
+    .sort((a, b) => b.length - a.length);
+
+  function tokenize(word) {
+    const tokens = [];
+    let i = 0;
+    while (i < word.length) {
+      const key = TOKEN_KEYS.find(k => word.startsWith(k, i));
+      if (key) {
+        tokens.push({ kind: key in VOWELS ? "v" : "c", key });
+        i += key.length;
+      } else {
+        tokens.push({ kind: "raw", key: word[i] });
+        i += 1;
+      }
+    }
+    return tokens;
+  }
+
+  function consonantOffsets(key, script, atStart) {
+    // Tamil spells word-initial n as ந and every other n as ன.
+    if (script === "taml" && key === "n") return [atStart ? 0x28 : 0x29];
+    const scriptMap = SCRIPT_CONSONANTS[script] || {};
+    const value = key in scriptMap ? scriptMap[key]
+      : DRAVIDIAN.has(script) && key in DRAVIDIAN_CONSONANTS ? DRAVIDIAN_CONSONANTS[key]
+        : CONSONANTS[key];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function vowelOffsets(key, script) {
+    if (DRAVIDIAN.has(script) && key in DRAVIDIAN_VOWELS) return DRAVIDIAN_VOWELS[key];
+    return VOWELS[key];
+  }
+
+  function transliterateWord(word, script) {
+    const base = SCRIPT_BASE[script];
+    const fallback = FALLBACK[script];
+    const ch = offset => String.fromCharCode(base + (offset in fallback ? fallback[offset] : offset));
+
+    const tokens = tokenize(word.toLowerCase());
+    let out = "";
+    let pending = false; // last letter was a consonant still carrying its inherent vowel
+
+    tokens.forEach((tok, idx) => {
+      if (tok.kind === "c") {
+        const offsets = consonantOffsets(tok.key, script, idx === 0);
+        offsets.forEach(o => {
+          if (pending) out += ch(VIRAMA);
+          out += ch(o);
+          pending = true;
+        });
+      } else if (tok.kind === "v") {
+        const isFinalA = tok.key === "a" && pending && idx === tokens.length - 1 && LONG_FINAL_A.has(script);
+        const [independent, matra] = vowelOffsets(isFinalA ? "aa" : tok.key, script);
+        if (pending) {
+          if (matra !== null) out += ch(matra);
+        } else {
+          out += ch(independent);
+        }
+        pending = false;
+      } else {
+        if (pending && DRAVIDIAN.has(script)) out += ch(VIRAMA);
+        out += tok.key;
+        pending = false;
+      }
+    });
+
+    if (pending) {
+      const last = tokens[tokens.length - 1];
+      if (script === "mlym" && last.key === "m") {
+        // Malayalam writes a final m as anusvara (kalam → കലം).
+        out = out.slice(0, -1) + ch(ANUSVARA);
+      } else if (DRAVIDIAN.has(script)) {
+        out += ch(VIRAMA);
+      }
+      // Hindi, Marathi and Bengali drop the final schwa without a visible mark.
+    }
+    return out;
+  }
+
+  // ---------------------------
+  // English words (kept as typed)
+  // ---------------------------
+  // Common English words in video searches. Words that are also everyday romanized
+  // Indian words (main, hi, is, sun, bat, ...) are left out on purpose.
+  const ENGLISH_WORDS = new Set([
+    "the", "and", "of", "for", "with", "from", "about", "how", "what", "why", "when", "where", "which", "who",
+    "video", "videos", "song", "songs", "movie", "movies", "film", "films", "trailer", "trailers", "teaser",
+    "full", "hd", "live", "news", "latest", "new", "best", "top", "today", "breaking", "update", "updates",
+    "highlights", "highlight", "match", "cricket", "football", "world", "cup", "final", "vs",
+    "review", "reviews", "tutorial", "tutorials", "official", "music", "lyrics", "lyrical", "audio", "remix",
+    "cover", "episode", "episodes", "season", "series", "scene", "scenes", "comedy", "funny", "status",
+    "short", "shorts", "reel", "reels", "interview", "tech", "phone", "mobile", "price", "game", "games",
+    "gameplay", "gaming", "online", "class", "classes", "lecture", "course", "exam", "exams", "tips", "tricks",
+    "recipe", "recipes", "cooking", "dance", "romantic", "love", "party", "day", "night", "week", "india", "indian"
+  ]);
+
+  /** Acronyms (IPL, BGMI) and common English words stay as typed. */
+  function isEnglishWord(word) {
+    return (word.length >= 2 && word === word.toUpperCase()) || ENGLISH_WORDS.has(word.toLowerCase());
+  }
+
+  /** True when the text has Latin words worth transliterating (not just English words). */
+  function isRomanized(text) {
+    return (String(text || "").match(/[a-z]+/gi) || []).some(word => !isEnglishWord(word));
+  }
+
+  /**
+   * Transliterate every romanized word in `text` into `script`.
+   * Anything else (English words, acronyms, digits, punctuation, text already in a native
+   * script) is kept as-is.
+   */
+  function transliterate(text, script) {
+    if (!SCRIPT_BASE[script]) throw new Error(`Unknown script: ${script}`);
+    return String(text || "").replace(/[a-z]+/gi, word => (isEnglishWord(word) ? word : transliterateWord(word, script)));
+  }
+
+  return { SCRIPTS, isEnglishWord, isRomanized, transliterate };
+});